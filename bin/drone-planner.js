@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// Command line planner for Drone Planner
+// Usage: drone-planner --drone <name|profile.json> (--height <m> | --gsd <cm>) [options] <area.geojson> ...
+//
+// Plans every polygon of the GeoJSON files as its own field with the headless core (src/planner.js)
+// and writes the exports of every field into the output directory, named after the feature
+// (properties.name, else "Feature <n>"), plus summary.csv with one row per field. A field that fails
+// is reported and skipped; the exit code is 1 if any field failed.
+//
+// Options:
+//   --drone <name|file>    built-in profile name (src/profiles.js) or a profile JSON file
+//   --height <m>           flight height above ground; --gsd <cm> target GSD instead
+//   --frontlap, --sidelap  overlap in percent (default 70 / 60)
+//   --direction <deg>      flight direction (default 0 = north)
+//   --pattern <p>          single | double | oblique (default single)
+//   --speed <m/s>          flight speed on the strips (default 10)
+//   --corridor <m>         corridor mode: the features are centre lines, flown at this width
+//   --filter <mode:value>  photo thinning, e.g. ends:2 or min-overlap:5 (src/filters.js)
+//   --elevation <m>        constant terrain elevation (stub provider, e.g. for offline runs)
+//   --dem <file.hgt>       local SRTM tile for the terrain elevations (repeatable, asked before --elevation)
+//   --crs <EPSG:code>      easting/northing in the CSVs, and the CRS of projected input without a
+//                          GeoJSON "crs" member
+//   --format <list>        exporters, comma-separated: kml, csv (= photos-csv + strips-csv), geojson,
+//                          gpx, summary-json or any exporter id (default kml,csv)
+//   --out <dir>            output directory (default .)
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import * as turf from '@turf/turf';
+import proj4 from 'proj4';
+import { setDependencies } from '../src/deps.js';
+import { planField } from '../src/planner.js';
+import { BUILTIN_PROFILES, normalizeProfile } from '../src/profiles.js';
+import { parseGeoJson } from '../src/importers.js';
+import { crsByCode, isGeographic, reprojectGeometry, looksProjected } from '../src/crs.js';
+import { createStubElevationProvider, createDemProvider, parseHgt } from '../src/elevation-providers.js';
+import { getExporter, runExporter } from '../src/exporters.js';
+
+const FORMAT_ALIASES = { csv: ['photos-csv', 'strips-csv'] };
+
+const OPTIONS = {
+  drone: { type: 'string' },
+  height: { type: 'string' },
+  gsd: { type: 'string' },
+  frontlap: { type: 'string', default: '70' },
+  sidelap: { type: 'string', default: '60' },
+  direction: { type: 'string', default: '0' },
+  pattern: { type: 'string', default: 'single' },
+  speed: { type: 'string', default: '10' },
+  corridor: { type: 'string' },
+  filter: { type: 'string' },
+  elevation: { type: 'string' },
+  dem: { type: 'string', multiple: true },
+  crs: { type: 'string' },
+  format: { type: 'string', default: 'kml,csv' },
+  out: { type: 'string', default: '.' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.help || positionals.length === 0) {
+    console.log(usage());
+    return values.help ? 0 : 1;
+  }
+  setDependencies({ turf, proj4 });
+
+  const drone = await loadDrone(values.drone);
+  const crs = values.crs ? crsByCode(values.crs) : null;
+  if (values.crs && !crs) throw new Error(`Unknown CRS: ${values.crs}`);
+  const formats = values.format.split(',').map((f) => f.trim()).filter(Boolean)
+    .flatMap((f) => FORMAT_ALIASES[f] || [f]);
+  formats.forEach((id) => {
+    if (!getExporter(id)) throw new Error(`Unknown format: ${id}`);
+  });
+  const options = {
+    height: values.height,
+    gsd: values.gsd,
+    frontlap: parseFloat(values.frontlap) / 100,
+    sidelap: parseFloat(values.sidelap) / 100,
+    direction: parseFloat(values.direction) || 0,
+    pattern: values.pattern,
+    speed: parseFloat(values.speed) || 10,
+    corridor: values.corridor ? { width: parseFloat(values.corridor) } : undefined,
+    filter: values.filter ? parseFilter(values.filter) : undefined,
+    elevationProviders: await loadElevationProviders(values)
+  };
+
+  const fields = [];
+  for (const file of positionals) fields.push(...await readFields(file, values.corridor ? 'line' : 'area', crs));
+  await mkdir(values.out, { recursive: true });
+
+  const rows = [['field', 'areaHa', 'strips', 'photos', 'lengthKm', 'timeMin', 'batteries', 'noElevation', 'error']];
+  const used = new Set();
+  let failed = 0;
+  for (const field of fields) {
+    const name = uniqueName(slug(field.name), used);
+    try {
+      const plan = await planField(field.geometry, drone, options);
+      for (const id of formats) {
+        const { blob, filename } = await runExporter(id, plan, { crs });
+        await writeFile(join(values.out, `${name}-${filename}`), Buffer.from(await blob.arrayBuffer()));
+      }
+      const s = plan.summaryStats;
+      rows.push([field.name, s.areaHa, s.numStrips, s.numPhotos, s.totalLengthKm, s.estTimeMin,
+        s.route.batteries.length, plan.elevation.fallback, '']);
+      console.log(`${field.name}: ${s.numStrips} strips, ${s.numPhotos} photos, ${s.estTimeMin} min`);
+    } catch (err) {
+      failed++;
+      rows.push([field.name, '', '', '', '', '', '', '', err.message]);
+      console.error(`${field.name}: ${err.message}`);
+    }
+  }
+  await writeFile(join(values.out, 'summary.csv'), rows.map((row) => row.map(csvValue).join(',')).join('\n'));
+  console.log(`${fields.length - failed} of ${fields.length} fields planned, output in ${values.out}`);
+  return failed > 0 ? 1 : 0;
+}
+
+// Built-in profile by name (case-insensitive), else a profile JSON file
+async function loadDrone(nameOrFile) {
+  if (!nameOrFile) throw new Error('--drone is required');
+  const builtIn = BUILTIN_PROFILES.find((p) => p.name.toLowerCase() === nameOrFile.toLowerCase());
+  if (builtIn) return { ...builtIn };
+  let text;
+  try {
+    text = await readFile(nameOrFile, 'utf8');
+  } catch (err) {
+    throw new Error(`Unknown drone "${nameOrFile}": neither a built-in profile nor a readable profile file`);
+  }
+  return normalizeProfile(JSON.parse(text));
+}
+
+async function loadElevationProviders(values) {
+  const providers = [];
+  if (values.dem && values.dem.length) {
+    const rasters = [];
+    for (const file of values.dem) {
+      const buf = await readFile(file);
+      rasters.push(parseHgt(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength), basename(file)));
+    }
+    providers.push(createDemProvider(rasters));
+  }
+  if (values.elevation !== undefined) {
+    const elevation = parseFloat(values.elevation);
+    if (isNaN(elevation)) throw new Error(`--elevation must be a number: ${values.elevation}`);
+    providers.push(createStubElevationProvider(elevation));
+  }
+  return providers;
+}
+
+// Features of one GeoJSON file in WGS84; projected coordinates are in the GeoJSON "crs", else in --crs
+async function readFields(file, kind, crs) {
+  const parsed = parseGeoJson(await readFile(file, 'utf8'), basename(file), kind);
+  const source = parsed.crs ? crsByCode(parsed.crs) : crs;
+  if (parsed.skipped) console.warn(`${file}: ${parsed.skipped} features of another geometry type skipped`);
+  return parsed.features.map((feature) => {
+    if (!looksProjected(feature.geometry)) return { name: feature.name, geometry: feature.geometry };
+    if (!source || isGeographic(source)) throw new Error(`${file}: projected coordinates need --crs`);
+    return { name: feature.name, geometry: reprojectGeometry(feature.geometry, source) };
+  });
+}
+
+function parseFilter(text) {
+  const [mode, value] = text.split(':');
+  if (!value) throw new Error(`--filter expects mode:value, e.g. ends:2 (got ${text})`);
+  return { mode, value: parseFloat(value) };
+}
+
+function slug(name) {
+  return String(name).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'field';
+}
+
+function uniqueName(name, used) {
+  let candidate = name;
+  for (let n = 2; used.has(candidate); n++) candidate = `${name}-${n}`;
+  used.add(candidate);
+  return candidate;
+}
+
+function csvValue(v) {
+  const text = v === null || v === undefined ? '' : String(v);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function usage() {
+  return [
+    'Usage: drone-planner --drone <name|profile.json> (--height <m> | --gsd <cm>) [options] <area.geojson> ...',
+    '',
+    'Options: --frontlap <%> --sidelap <%> --direction <deg> --pattern single|double|oblique --speed <m/s>',
+    '         --corridor <width m> --filter <mode:value> --elevation <m> --dem <file.hgt> --crs <EPSG:code>',
+    '         --format kml,csv,geojson,gpx,summary-json --out <dir>',
+    '',
+    `Built-in drones: ${BUILTIN_PROFILES.map((p) => p.name).join(', ')}`
+  ].join('\n');
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,371 @@
+// Airspace module for Drone Planner
+// Exports:
+// - DEFAULT_MAX_AGL: 120 (m, EU open category limit)
+// - parseAltitudeLimit(text) -> { value, ref, text } | null: "GND", "FL65", "2500ft MSL", "150 m AGL", "UNL"
+// - parseOpenAir(text, sourceName) -> [zone]: OpenAIR airspace file (DP/DC/DA/DB, V X=/D=)
+// - parseAirspaceGeoJson(input, sourceName) -> [zone]: GeoJSON polygons with limits in their properties
+// - readAirspaceFiles(files) -> Promise<{ zones, errors }>: .geojson/.json as GeoJSON, everything else as OpenAIR
+// - checkAirspace(plan, zones, options) -> [conflict]: photo points and strips inside zones or above max AGL
+// - clipToPermitted(polygonGeoJSON, zones, options) -> { geometry, removed }: survey area minus blocking zones
+//
+// Zone: { id, name, class, source, geometry (Polygon | MultiPolygon), lower: limit, upper: limit }
+// Limit: { value: meters, ref: 'AGL' | 'MSL' | 'STD', text }; GND is 0 m AGL, UNL is Infinity MSL, flight levels
+// are converted with the standard atmosphere (FL65 = 6500 ft) and compared like MSL.
+// Limits with ref AGL are compared with the height above ground, all others with the absolute altitude; if a
+// point has no absolute altitude (no elevation data yet) the comparison is uncertain and counted as conflict.
+// Uses Turf.js (via src/deps.js).
+
+import { turf } from './deps.js';
+
+export const DEFAULT_MAX_AGL = 120;
+
+const FEET = 0.3048;
+
+/**
+ * Parse an airspace limit.
+ * @param {string|number} text - e.g. "GND", "SFC", "FL 95", "2500ft MSL", "1500 AGL", "150m GND", "UNL";
+ *   a bare number is feet MSL (OpenAIR convention)
+ * @returns {Object|null} { value (m), ref, text }, null if not readable
+ */
+export function parseAltitudeLimit(text) {
+  if (text === null || text === undefined) return null;
+  const s = String(text).trim().toUpperCase();
+  if (!s) return null;
+  if (/^(GND|SFC|GROUND)$/.test(s)) return { value: 0, ref: 'AGL', text: String(text).trim() };
+  if (/^(UNL|UNLIM|UNLIMITED)/.test(s)) return { value: Infinity, ref: 'MSL', text: String(text).trim() };
+  const fl = s.match(/^FL\s*(\d+)/);
+  if (fl) return { value: parseInt(fl[1], 10) * 100 * FEET, ref: 'STD', text: String(text).trim() };
+  const m = s.match(/^(\d+(?:\.\d+)?)\s*(FT|F|M)?\s*(AGL|GND|SFC|ASFC|MSL|AMSL|ALT)?$/);
+  if (!m) return null;
+  const value = parseFloat(m[1]) * (m[2] === 'M' ? 1 : FEET);
+  const ref = ['AGL', 'GND', 'SFC', 'ASFC'].includes(m[3]) ? 'AGL' : 'MSL';
+  return { value, ref, text: String(text).trim() };
+}
+
+/**
+ * Read an OpenAIR file. Supported records: AC (class, starts a zone), AN (name), AL/AH (limits), AY (type),
+ * DP (polygon point), V X= (center), V D= (arc direction), DC (circle, radius in NM), DA (arc: radius NM,
+ * start and end bearing), DB (arc between two points). Comments start with '*'.
+ * @param {string} text
+ * @param {string} sourceName - file name for the zones' source
+ * @returns {Array<Object>} zones (zones without a usable outline are dropped)
+ */
+export function parseOpenAir(text, sourceName = '') {
+  const zones = [];
+  let zone = null;
+  let center = null;
+  let clockwise = true;
+  const finish = () => {
+    if (!zone) return;
+    const ring = zone.points;
+    if (ring.length >= 3) {
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first.slice());
+      if (ring.length >= 4) {
+        zones.push(makeZone({
+          name: zone.name,
+          class: zone.type || zone.class,
+          lower: zone.lower,
+          upper: zone.upper,
+          geometry: { type: 'Polygon', coordinates: [ring] }
+        }, zones.length, sourceName));
+      }
+    }
+    zone = null;
+  };
+
+  String(text).split(/\r?\n/).forEach((raw, lineIdx) => {
+    const line = raw.replace(/\*.*$/, '').trim();
+    if (!line) return;
+    const [, cmd, rest] = line.match(/^(\S+)\s*(.*)$/);
+    const key = cmd.toUpperCase();
+    if (key === 'AC') {
+      finish();
+      zone = { class: rest.trim(), name: '', type: '', lower: null, upper: null, points: [] };
+      center = null;
+      clockwise = true;
+      return;
+    }
+    if (!zone) return;
+    const fail = (what) => { throw new Error(`OpenAIR line ${lineIdx + 1}: invalid ${what}`); };
+    switch (key) {
+      case 'AN': zone.name = rest.trim(); break;
+      case 'AY': zone.type = rest.trim(); break;
+      case 'AL': zone.lower = parseAltitudeLimit(rest) || fail('lower limit'); break;
+      case 'AH': zone.upper = parseAltitudeLimit(rest) || fail('upper limit'); break;
+      case 'V': {
+        const v = rest.match(/^([XD])\s*=\s*(.*)$/i);
+        if (!v) break;
+        if (v[1].toUpperCase() === 'D') clockwise = v[2].trim() !== '-';
+        else center = parseCoordinate(v[2]) || fail('center');
+        break;
+      }
+      case 'DP': zone.points.push(parseCoordinate(rest) || fail('point')); break;
+      case 'DC': {
+        const radius = parseFloat(rest);
+        if (!center || !(radius > 0)) fail('circle');
+        zone.points.push(...arcPoints(center, radius * 1.852, 0, 360, true));
+        break;
+      }
+      case 'DA': {
+        const [radius, start, end] = rest.split(',').map(parseFloat);
+        if (!center || !(radius > 0) || !isFinite(start) || !isFinite(end)) fail('arc');
+        zone.points.push(...arcPoints(center, radius * 1.852, start, end, clockwise));
+        break;
+      }
+      case 'DB': {
+        const parts = rest.split(',');
+        const from = parseCoordinate(parts[0]);
+        const to = parseCoordinate(parts.slice(1).join(','));
+        if (!center || !from || !to) fail('arc');
+        const radius = turf.distance(turf.point(center), turf.point(from), { units: 'kilometers' });
+        const start = turf.bearing(turf.point(center), turf.point(from));
+        const end = turf.bearing(turf.point(center), turf.point(to));
+        zone.points.push(from, ...arcPoints(center, radius, start, end, clockwise).slice(1, -1), to);
+        break;
+      }
+      default:
+        break; // AF/AG (frequency, station) and unknown records are ignored
+    }
+  });
+  finish();
+  return zones;
+}
+
+/**
+ * Read airspace polygons from GeoJSON. Name, class and limits are taken from the feature properties:
+ * - name / NAME / Name / designator
+ * - class / icaoClass / type / TYPE / category
+ * - lowerLimit / upperLimit as openAIP objects { value, unit (0 m, 1 ft, 6 FL), referenceDatum (0 GND, 1 MSL, 2 STD) }
+ *   or texts (see parseAltitudeLimit); also lower/upper, floor/ceiling, lowerLimit_m/upperLimit_m (numbers: m MSL)
+ * Missing limits mean GND / UNL (e.g. nature reserves: no flying at all).
+ * @param {Object|string} input - GeoJSON object or text
+ * @param {string} sourceName
+ * @returns {Array<Object>} zones
+ */
+export function parseAirspaceGeoJson(input, sourceName = '') {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  let features = [];
+  if (data && data.type === 'FeatureCollection') features = data.features || [];
+  else if (data && data.type === 'Feature') features = [data];
+  else if (data && data.type) features = [{ type: 'Feature', properties: {}, geometry: data }];
+  const zones = [];
+  features.forEach((f) => {
+    if (!f.geometry || !/^(Multi)?Polygon$/.test(f.geometry.type)) return;
+    const p = f.properties || {};
+    zones.push(makeZone({
+      name: p.name || p.NAME || p.Name || p.designator || '',
+      class: p.class || p.icaoClass || p.type || p.TYPE || p.category || '',
+      lower: propertyLimit(p, ['lowerLimit', 'lower', 'floor', 'lowerLimit_m']),
+      upper: propertyLimit(p, ['upperLimit', 'upper', 'ceiling', 'upperLimit_m']),
+      geometry: f.geometry
+    }, zones.length, sourceName));
+  });
+  return zones;
+}
+
+/**
+ * Read airspace files (File objects or { name, text() }). Errors are collected per file.
+ * @param {Array<File>|FileList} files
+ * @returns {Promise<Object>} { zones (ids unique over all files), errors: [{ file, message }] }
+ */
+export async function readAirspaceFiles(files) {
+  const zones = [];
+  const errors = [];
+  for (const file of Array.from(files)) {
+    try {
+      const text = await file.text();
+      const parsed = /\.(geo)?json$/i.test(file.name) ? parseAirspaceGeoJson(text, file.name) : parseOpenAir(text, file.name);
+      if (!parsed.length) throw new Error('no airspace polygons found');
+      parsed.forEach((z) => zones.push({ ...z, id: `${zones.length}` }));
+    } catch (err) {
+      errors.push({ file: file.name, message: err.message });
+    }
+  }
+  return { zones, errors };
+}
+
+/**
+ * Check a plan against airspace zones and the maximum height above ground.
+ * - Photo points: inside a zone (horizontally) and between its lower and upper limit.
+ * - Strips: crossing a zone, vertically checked with the altitudes of the strip's photo points
+ *   (without photos: the flight height above ground, absolute altitude unknown).
+ * - max-agl: photo points higher above ground than options.maxAgl.
+ * @param {Object} plan - {
+ *     photoPoints: [{ lat, lng, stripIndex, absoluteAltitude, heightAgl }],
+ *     strips: [{ stripIndex, coordinates: [[lng,lat], ...] }]
+ *   }
+ * @param {Array<Object>} zones
+ * @param {Object} options - { height: planned height above ground (m, for points without heightAgl),
+ *   maxAgl: default DEFAULT_MAX_AGL, 0 disables the check }
+ * @returns {Array<Object>} conflicts:
+ *   { type: 'zone', zoneId, zoneName, zoneClass, lower, upper (limit texts), photoIndices, stripIndices, uncertain }
+ *   { type: 'max-agl', maxAgl, maxHeightAgl, photoIndices }
+ */
+export function checkAirspace(plan = {}, zones = [], options = {}) {
+  const height = parseFloat(options.height) || 0;
+  const maxAgl = options.maxAgl === undefined || options.maxAgl === null || options.maxAgl === '' ? DEFAULT_MAX_AGL : parseFloat(options.maxAgl);
+  const points = plan.photoPoints || [];
+  const strips = plan.strips || [];
+  const samples = points.map((pt) => ({
+    agl: isFiniteNumber(pt.heightAgl) ? pt.heightAgl : height,
+    msl: isFiniteNumber(pt.absoluteAltitude) ? pt.absoluteAltitude : null
+  }));
+  const samplesByStrip = new Map();
+  points.forEach((pt, idx) => {
+    if (pt.stripIndex === null || pt.stripIndex === undefined) return;
+    if (!samplesByStrip.has(pt.stripIndex)) samplesByStrip.set(pt.stripIndex, []);
+    samplesByStrip.get(pt.stripIndex).push(samples[idx]);
+  });
+
+  const conflicts = [];
+  zones.forEach((zone) => {
+    const area = turf.feature(zone.geometry);
+    const [minX, minY, maxX, maxY] = turf.bbox(area);
+    let uncertain = false;
+    const photoIndices = [];
+    points.forEach((pt, idx) => {
+      if (pt.lng < minX || pt.lng > maxX || pt.lat < minY || pt.lat > maxY) return;
+      const hit = verticalHit(zone, samples[idx]);
+      if (!hit || !turf.booleanPointInPolygon(turf.point([pt.lng, pt.lat]), area)) return;
+      if (hit === 'uncertain') uncertain = true;
+      photoIndices.push(idx);
+    });
+    const stripIndices = [];
+    strips.forEach((strip) => {
+      if (!strip.coordinates || strip.coordinates.length < 2) return;
+      const stripSamples = samplesByStrip.get(strip.stripIndex) || [{ agl: height, msl: null }];
+      const hits = stripSamples.map((sample) => verticalHit(zone, sample)).filter(Boolean);
+      if (!hits.length || !turf.booleanIntersects(turf.lineString(strip.coordinates), area)) return;
+      if (hits.every((h) => h === 'uncertain')) uncertain = true;
+      if (!stripIndices.includes(strip.stripIndex)) stripIndices.push(strip.stripIndex);
+    });
+    if (photoIndices.length || stripIndices.length) {
+      conflicts.push({
+        type: 'zone',
+        zoneId: zone.id,
+        zoneName: zone.name,
+        zoneClass: zone.class,
+        lower: zone.lower.text,
+        upper: zone.upper.text,
+        photoIndices,
+        stripIndices,
+        uncertain
+      });
+    }
+  });
+
+  if (maxAgl > 0) {
+    const photoIndices = [];
+    let maxHeightAgl = 0;
+    samples.forEach((sample, idx) => {
+      if (sample.agl > maxAgl) {
+        photoIndices.push(idx);
+        maxHeightAgl = Math.max(maxHeightAgl, sample.agl);
+      }
+    });
+    if (photoIndices.length) {
+      conflicts.push({ type: 'max-agl', maxAgl, maxHeightAgl: parseFloat(maxHeightAgl.toFixed(1)), photoIndices });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Remove the zones the flight would enter from the survey area. A zone blocks if it overlaps the area
+ * and the planned height lies between its limits; limits in MSL are compared with groundElevation + height
+ * and block whenever the ground elevation is unknown.
+ * @param {Object} polygonGeoJSON - GeoJSON Polygon or MultiPolygon
+ * @param {Array<Object>} zones
+ * @param {Object} options - { height: planned height above ground (m), groundElevation: m MSL (optional) }
+ * @returns {Object} { geometry: remaining Polygon/MultiPolygon or null if nothing is left, removed: [zone id] }
+ */
+export function clipToPermitted(polygonGeoJSON, zones = [], options = {}) {
+  const height = parseFloat(options.height) || 0;
+  const ground = parseFloat(options.groundElevation);
+  const sample = { agl: height, msl: isFinite(ground) ? ground + height : null };
+  let remaining = turf.feature(polygonGeoJSON);
+  const removed = [];
+  zones.forEach((zone) => {
+    if (!remaining || !verticalHit(zone, sample)) return;
+    const area = turf.feature(zone.geometry);
+    if (!turf.booleanIntersects(remaining, area)) return;
+    remaining = turf.difference(turf.featureCollection([remaining, area]));
+    removed.push(zone.id);
+  });
+  return { geometry: remaining ? remaining.geometry : null, removed };
+}
+
+// Zone object with default limits (GND / UNL)
+function makeZone(z, idx, sourceName) {
+  return {
+    id: `${idx}`,
+    name: z.name || `Zone ${idx + 1}`,
+    class: z.class || '',
+    source: sourceName,
+    geometry: z.geometry,
+    lower: z.lower || { value: 0, ref: 'AGL', text: 'GND' },
+    upper: z.upper || { value: Infinity, ref: 'MSL', text: 'UNL' }
+  };
+}
+
+// Limit from the first present property (openAIP object, text or number)
+function propertyLimit(props, keys) {
+  const key = keys.find((k) => props[k] !== undefined && props[k] !== null && props[k] !== '');
+  if (!key) return null;
+  const v = props[key];
+  if (typeof v === 'object') {
+    const value = parseFloat(v.value);
+    if (!isFinite(value)) return null;
+    const unit = String(v.unit).toUpperCase();
+    if (unit === '6' || unit === 'FL') return { value: value * 100 * FEET, ref: 'STD', text: `FL${value}` };
+    const meters = unit === '0' || unit === 'M';
+    const datum = String(v.referenceDatum).toUpperCase();
+    const ref = datum === '0' || datum === 'GND' ? 'AGL' : 'MSL';
+    if (ref === 'AGL' && value === 0) return { value: 0, ref, text: 'GND' };
+    return { value: value * (meters ? 1 : FEET), ref, text: `${value} ${meters ? 'm' : 'ft'} ${ref}` };
+  }
+  if (typeof v === 'number') return { value: v, ref: 'MSL', text: `${v} m MSL` };
+  return parseAltitudeLimit(v);
+}
+
+// true if the sample lies between the zone limits, false if not, 'uncertain' if the altitude is unknown
+function verticalHit(zone, sample) {
+  let uncertain = false;
+  const compare = (limit, cmp) => {
+    if (limit.ref === 'AGL') return cmp(sample.agl, limit.value);
+    if (sample.msl === null) { uncertain = true; return true; }
+    return cmp(sample.msl, limit.value);
+  };
+  const inside = compare(zone.lower, (a, b) => a >= b) && compare(zone.upper, (a, b) => a <= b);
+  if (!inside) return false;
+  return uncertain ? 'uncertain' : true;
+}
+
+// [lng, lat] from "52:30:15 N 013:20:00 E", "52:30.25N 13:20.0E" or "52.5 N 13.33 E"
+function parseCoordinate(text) {
+  const m = String(text).trim().match(/^([\d.:]+)\s*([NS])\s*,?\s*([\d.:]+)\s*([EW])/i);
+  if (!m) return null;
+  const deg = (s) => s.split(':').reduce((sum, part, i) => sum + parseFloat(part) / Math.pow(60, i), 0);
+  const lat = deg(m[1]) * (m[2].toUpperCase() === 'S' ? -1 : 1);
+  const lng = deg(m[3]) * (m[4].toUpperCase() === 'W' ? -1 : 1);
+  return isFinite(lat) && isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? [lng, lat] : null;
+}
+
+// Points on an arc around center (radius km) from bearing start to end, both ends included (5° steps)
+function arcPoints(center, radiusKm, start, end, clockwise) {
+  const norm = (a) => ((a % 360) + 360) % 360;
+  let sweep = clockwise ? norm(end - start) : -norm(start - end);
+  if (sweep === 0) sweep = clockwise ? 360 : -360;
+  const steps = Math.max(2, Math.ceil(Math.abs(sweep) / 5));
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    points.push(turf.destination(turf.point(center), radiusKm, start + sweep * i / steps, { units: 'kilometers' }).geometry.coordinates);
+  }
+  return points;
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && isFinite(v);
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+// Flight block module for Drone Planner
+// Exports:
+// - BLOCK_LIMITS: ['time', 'photos', 'distance']
+// - BLOCK_COLORS: map colours of the blocks (block.color, repeating)
+// - splitIntoBlocks(result, options) -> [block]: the plan split into flights of whole scan lines
+// - blockExportData(data, block, photoPoints, options) -> export data of one block, optionally resumed
+//
+// Splits the output of calculateStrips / calculateCorridor (or a subsetPlan of it, src/planner.js) into
+// blocks that fit one battery, a photo budget or a visual-line-of-sight radius. Scan lines stay whole
+// and keep their flight order; a block is closed before the scan line that would break the limit.
+// Each block after the first starts by flying the last `overlapStrips` scan lines of the previous
+// block again (same part and pass only), so the blocks overlap like neighbouring strips.
+// Limits:
+//   'time'     - flight time of the block (min) from buildRoute, with takeoff and return at options.home
+//   'photos'   - number of photos of the block (overlap strips included)
+//   'distance' - farthest strip vertex from the launch point (m): options.home if the block can be flown
+//                from there, else the centre of the block's extent (the place to move to)
+// A single scan line that breaks the limit on its own becomes its own block with overLimit: true.
+// Uses Turf.js (via src/deps.js).
+
+import { turf } from './deps.js';
+import { buildRoute } from './route.js';
+
+export const BLOCK_LIMITS = ['time', 'photos', 'distance'];
+export const BLOCK_COLORS = ['#2563eb', '#db2777', '#16a34a', '#f59e0b', '#7c3aed', '#0891b2', '#dc2626', '#65a30d'];
+
+/**
+ * Split a plan into flight blocks.
+ * @param {Object} result - { photoPoints, stripLines, summaryStats } of calculateStrips
+ * @param {Object} options - {
+ *     limit: one of BLOCK_LIMITS,
+ *     max: largest flight time (min), photo count or distance from the launch point (m) of a block,
+ *     overlapStrips: scan lines of the previous block flown again (default 1, 0 = none),
+ *     home: launch point { lat, lng } (optional),
+ *     height, cruiseSpeed, turnSpeed, hoverTimeS, climbRate, descentRate: as for buildRoute
+ *   }
+ * @returns {Array<Object>} blocks in flight order: {
+ *     index, color,
+ *     stripIndices: scan lines of the block in flight order (overlap first), overlapStripIndices,
+ *     photoOrder: [index into result.photoPoints] in the flight order of the block,
+ *     numStrips, numPhotos, timeMin, distanceKm, route: [[lng,lat], ...] (from buildRoute),
+ *     launchPoint: { lat, lng } | null, maxDistanceM: farthest strip vertex from it (null without one),
+ *     overLimit
+ *   }
+ */
+export function splitIntoBlocks(result, options = {}) {
+  if (!result || !Array.isArray(result.stripLines) || !Array.isArray(result.photoPoints)) {
+    throw new Error('splitIntoBlocks expects the result of calculateStrips');
+  }
+  const limit = options.limit;
+  if (!BLOCK_LIMITS.includes(limit)) throw new Error(`Unknown block limit: ${limit}`);
+  const max = parseFloat(options.max);
+  if (!(max > 0)) throw new Error('The block limit must be a positive number');
+  const overlapStrips = Math.max(0, Math.round(parseFloat(options.overlapStrips ?? 1) || 0));
+  const home = options.home && isFinite(options.home.lat) && isFinite(options.home.lng) ? options.home : null;
+
+  const lines = scanLines(result);
+  const evaluate = (blockLines) => {
+    const photos = blockLines.flatMap((line) => line.photos);
+    const vertices = blockLines.flatMap((line) => line.strips.flatMap((strip) => strip.coordinates));
+    let launchPoint = home;
+    let maxDistanceM = home ? farthest(home, vertices) : null;
+    if (limit === 'distance' && !(maxDistanceM !== null && maxDistanceM <= max)) {
+      launchPoint = centreOf(vertices);
+      maxDistanceM = farthest(launchPoint, vertices);
+    }
+    const plan = {
+      ...result,
+      photoPoints: photos.map((idx) => result.photoPoints[idx]),
+      stripLines: blockLines.flatMap((line) => line.strips)
+    };
+    const route = buildRoute(plan, { ...options, home: launchPoint });
+    const value = { time: route.stats.totalTimeMin, photos: photos.length, distance: maxDistanceM }[limit];
+    return { blockLines, photos, route, launchPoint, maxDistanceM, fits: value <= max };
+  };
+
+  const blocks = [];
+  let start = 0;
+  while (start < lines.length) {
+    const overlap = blocks.length ? overlapLines(lines, start, overlapStrips) : [];
+    let best = evaluate([...overlap, lines[start]]);
+    // the overlap is dropped when it does not fit together with the block's first own scan line
+    if (!best.fits && overlap.length) best = evaluate([lines[start]]);
+    let end = start + 1;
+    const blockOverlap = best.blockLines.length > 1 ? overlap : [];
+    while (best.fits && end < lines.length) {
+      const candidate = evaluate([...blockOverlap, ...lines.slice(start, end + 1)]);
+      if (!candidate.fits) break;
+      best = candidate;
+      end++;
+    }
+
+    const { blockLines, photos, route, launchPoint, maxDistanceM, fits } = best;
+    blocks.push({
+      index: blocks.length,
+      color: BLOCK_COLORS[blocks.length % BLOCK_COLORS.length],
+      stripIndices: blockLines.map((line) => line.stripIndex),
+      overlapStripIndices: blockOverlap.map((line) => line.stripIndex),
+      photoOrder: route.photoOrder.map((idx) => photos[idx]),
+      numStrips: blockLines.length,
+      numPhotos: photos.length,
+      timeMin: route.stats.totalTimeMin,
+      distanceKm: route.stats.totalDistanceKm,
+      route: route.coordinates,
+      launchPoint: launchPoint ? { lat: launchPoint.lat, lng: launchPoint.lng } : null,
+      maxDistanceM: maxDistanceM === null ? null : Math.round(maxDistanceM),
+      overLimit: !fits
+    });
+    start = end;
+  }
+  return blocks;
+}
+
+/**
+ * Export data (see src/exporters.js) of one block, e.g. for the KML or WPML exporter.
+ * @param {Object} data - export data of the whole plan (strips with stripIndex)
+ * @param {Object} block - from splitIntoBlocks
+ * @param {Array<Object>} photoPoints - photo points with elevations, aligned with result.photoPoints of the split
+ * @param {Object} options - { resumeFrom: photo number N of the block (1-based, default 1): an interrupted
+ *   flight continues with photo N; only the scan lines from that photo on are kept }
+ * @returns {Object} export data with the block's photos in flight order (routeOrder from 0) and strips
+ */
+export function blockExportData(data, block, photoPoints, options = {}) {
+  const resumeFrom = Math.round(parseFloat(options.resumeFrom) || 1);
+  if (resumeFrom < 1 || resumeFrom > block.photoOrder.length) {
+    throw new Error(`Resume photo must be between 1 and ${block.photoOrder.length}`);
+  }
+  const points = block.photoOrder.slice(resumeFrom - 1).map((idx, order) => ({ ...photoPoints[idx], routeOrder: order }));
+  // scan lines still to fly: those of the remaining photos, all of the block when not resumed
+  const remaining = new Set(resumeFrom > 1 ? points.map((pt) => pt.stripIndex) : block.stripIndices);
+  const strips = (data.strips || []).filter((strip) => remaining.has(strip.stripIndex));
+  return {
+    ...data,
+    points,
+    strips,
+    route: resumeFrom > 1 ? null : block.route,
+    summaryStats: {
+      ...(data.summaryStats || {}),
+      numStrips: remaining.size,
+      numPhotos: points.length,
+      estTimeMin: Math.ceil(block.timeMin),
+      block: block.index + 1,
+      resumeFrom
+    }
+  };
+}
+
+// Scan lines in flight order as buildRoute groups them: consecutive segments with the same
+// stripIndex, part and pass, with the photos of their segments
+function scanLines(result) {
+  const photosByStrip = new Map();
+  result.photoPoints.forEach((pt, idx) => {
+    if (!photosByStrip.has(pt.stripId)) photosByStrip.set(pt.stripId, []);
+    photosByStrip.get(pt.stripId).push(idx);
+  });
+  const lines = [];
+  result.stripLines.forEach((strip) => {
+    const last = lines[lines.length - 1];
+    if (!(last && last.stripIndex === strip.stripIndex && last.partIndex === strip.partIndex && last.pass === strip.pass)) {
+      lines.push({ stripIndex: strip.stripIndex, partIndex: strip.partIndex, pass: strip.pass, strips: [], photos: [] });
+    }
+    const line = lines[lines.length - 1];
+    line.strips.push(strip);
+    line.photos.push(...(photosByStrip.get(strip.id) || []));
+  });
+  return lines;
+}
+
+// The last n scan lines before `start` that belong to the same part and pass
+function overlapLines(lines, start, n) {
+  const out = [];
+  for (let i = start - 1; i >= 0 && out.length < n; i--) {
+    if (lines[i].partIndex !== lines[start].partIndex || lines[i].pass !== lines[start].pass) break;
+    out.unshift(lines[i]);
+  }
+  return out;
+}
+
+function farthest(point, vertices) {
+  const from = turf.point([point.lng, point.lat]);
+  return vertices.reduce((max, c) => Math.max(max, turf.distance(from, turf.point(c), { units: 'meters' })), 0);
+}
+
+// Centre of the bounding box of the vertices
+function centreOf(vertices) {
+  const [minLng, minLat, maxLng, maxLat] = turf.bbox(turf.multiPoint(vertices));
+  return { lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 };
+}
\ No newline at end of file
@@ -0,0 +1,269 @@
+// Planned vs. flown comparison module for Drone Planner
+// Exports:
+// - compareFlight(planned, flown, options) -> report: matches planned photo points to flown images
+// - comparisonCsv(report, planned, flown) -> string: one line per planned point plus extra images
+//
+// Planned points are the photo points of the plan (lat, lng, stripIndex, pointIndex, routeOrder,
+// absoluteAltitude, gimbalPitch), flown points the images read by the DISPLAY DRONE FLIGHT tool
+// (lat, lng, absAlt, relAlt, gPitch, gRoll, filename). Both are plain objects; the module does not
+// touch the map. Uses Turf.js (via src/deps.js) for distances.
+
+import { turf } from './deps.js';
+
+/**
+ * Match flown images to planned photo points and rate them.
+ *
+ * Flown images are taken in sequence (file name order); each is matched to the closest free planned
+ * point within maxOffsetM, preferring points that follow the previous match in flight order (so the
+ * crossing points of a double grid are not swapped). Unmatched planned points are missing shots,
+ * unmatched images extra shots.
+ *
+ * @param {Array<Object>} planned - planned photo points
+ * @param {Array<Object>} flown - flown images
+ * @param {Object} options - {
+ *     maxOffsetM: match radius (m, default half the median distance between neighbouring planned points),
+ *     height: planned height above takeoff, compared with relAlt when absolute altitudes are missing,
+ *     altToleranceM: altitude deviation flagged as outlier (default 5),
+ *     gimbalPitch: expected gimbal pitch for points without one (default -90),
+ *     pitchToleranceDeg: gimbal pitch deviation flagged as outlier (default 10),
+ *     rollToleranceDeg: gimbal roll flagged as outlier (default 5)
+ *   }
+ * @returns {Object} {
+ *   matches: [{ plannedIndex, flownIndex, offsetM, altDevM, altRef: 'abs'|'rel'|null, pitch, pitchDevDeg, rollDeg,
+ *               outliers: ['altitude'|'pitch'|'roll'] }],  // in flight order
+ *   missing: [plannedIndex], extra: [flownIndex],
+ *   gaps: [{ stripIndex, pass, plannedIndices, coordinates: [[lng,lat], ...] }],  // runs of missing shots
+ *   stats: { numPlanned, numFlown, numMatched, numMissing, numExtra, numOutliers, matchRadiusM, meanOffsetM, maxOffsetM,
+ *            meanAltDevM, maxAbsAltDevM, stripsToRefly: [stripIndex] }
+ * }
+ */
+export function compareFlight(planned = [], flown = [], options = {}) {
+  const altTolerance = numberOr(options.altToleranceM, 5);
+  const pitchTolerance = numberOr(options.pitchToleranceDeg, 10);
+  const rollTolerance = numberOr(options.rollToleranceDeg, 5);
+  const defaultPitch = numberOr(options.gimbalPitch, -90);
+  const height = parseFloat(options.height);
+
+  // Flight order of the planned points (route order when available)
+  const order = planned.map((_, idx) => idx);
+  if (planned.every((pt) => typeof pt.routeOrder === 'number')) order.sort((a, b) => planned[a].routeOrder - planned[b].routeOrder);
+  const seqOf = new Array(planned.length);
+  order.forEach((idx, seq) => { seqOf[idx] = seq; });
+
+  const maxOffsetM = numberOr(options.maxOffsetM, defaultMatchRadius(planned, order));
+  const grid = buildGrid(planned, maxOffsetM);
+
+  const matchedPlanned = new Array(planned.length).fill(null);
+  const matches = [];
+  const extra = [];
+  let lastSeq = -1;
+
+  flown.forEach((img, flownIndex) => {
+    let best = null;
+    let bestCost = Infinity;
+    nearby(grid, img, maxOffsetM).forEach((idx) => {
+      if (matchedPlanned[idx] !== null) return;
+      const d = distanceM(img, planned[idx]);
+      if (d > maxOffsetM) return;
+      // distance in units of the radius plus a penalty for jumping in the sequence
+      const cost = d / maxOffsetM + 0.05 * Math.min(Math.abs(seqOf[idx] - (lastSeq + 1)), 20);
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = idx;
+      }
+    });
+    if (best === null) {
+      extra.push(flownIndex);
+      return;
+    }
+    matchedPlanned[best] = flownIndex;
+    lastSeq = seqOf[best];
+    matches.push(rateMatch(planned[best], img, best, flownIndex, { height, altTolerance, pitchTolerance, rollTolerance, defaultPitch }));
+  });
+  matches.sort((a, b) => seqOf[a.plannedIndex] - seqOf[b.plannedIndex]);
+
+  const missing = order.filter((idx) => matchedPlanned[idx] === null);
+  const gaps = findGaps(planned, order, matchedPlanned);
+
+  const offsets = matches.map((m) => m.offsetM);
+  const altDevs = matches.map((m) => m.altDevM).filter((v) => v !== null);
+  const mean = (arr) => (arr.length ? round(arr.reduce((s, v) => s + v, 0) / arr.length, 2) : null);
+  return {
+    matches,
+    missing,
+    extra,
+    gaps,
+    stats: {
+      numPlanned: planned.length,
+      numFlown: flown.length,
+      numMatched: matches.length,
+      numMissing: missing.length,
+      numExtra: extra.length,
+      numOutliers: matches.filter((m) => m.outliers.length > 0).length,
+      matchRadiusM: round(maxOffsetM, 1),
+      meanOffsetM: mean(offsets),
+      maxOffsetM: offsets.length ? round(Math.max(...offsets), 2) : null,
+      meanAltDevM: mean(altDevs),
+      maxAbsAltDevM: altDevs.length ? round(Math.max(...altDevs.map(Math.abs)), 2) : null,
+      stripsToRefly: [...new Set(gaps.map((g) => g.stripIndex))].filter((s) => s !== null && s !== undefined)
+    }
+  };
+}
+
+/**
+ * CSV report: every planned point (in flight order) with its matched image, then the extra images.
+ * @param {Object} report - from compareFlight
+ * @param {Array<Object>} planned
+ * @param {Array<Object>} flown
+ * @returns {string}
+ */
+export function comparisonCsv(report, planned = [], flown = []) {
+  const header = 'status,plannedIndex,stripIndex,pointIndex,pass,plannedLat,plannedLng,plannedAltitude,file,flownLat,flownLng,absAlt,relAlt,offsetM,altDevM,altRef,gimbalPitch,gimbalRoll,outliers';
+  const missing = new Set(report.missing);
+  const lines = [header];
+  const plannedCols = (pt, idx) => [idx + 1, value(pt.stripIndex), value(pt.pointIndex), pt.pass || '',
+    pt.lat.toFixed(8), pt.lng.toFixed(8), value(pt.absoluteAltitude, 2)];
+  const flownCols = (img) => [csvText(img.filename), img.lat.toFixed(8), img.lng.toFixed(8),
+    value(img.absAlt, 2), value(img.relAlt, 2)];
+
+  report.matches.concat(report.missing.map((plannedIndex) => ({ plannedIndex })))
+    .sort((a, b) => orderKey(planned, a.plannedIndex) - orderKey(planned, b.plannedIndex))
+    .forEach((m) => {
+      const pt = planned[m.plannedIndex];
+      if (missing.has(m.plannedIndex)) {
+        lines.push(['missing', ...plannedCols(pt, m.plannedIndex), '', '', '', '', '', '', '', '', '', '', ''].join(','));
+        return;
+      }
+      const img = flown[m.flownIndex];
+      lines.push([m.outliers.length ? 'outlier' : 'ok', ...plannedCols(pt, m.plannedIndex), ...flownCols(img),
+        value(m.offsetM, 2), value(m.altDevM, 2), m.altRef || '', value(m.pitch, 1), value(m.rollDeg, 1), m.outliers.join(' ')].join(','));
+    });
+  report.extra.forEach((flownIndex) => {
+    const img = flown[flownIndex];
+    lines.push(['extra', '', '', '', '', '', '', '', ...flownCols(img), '', '', '', value(toNumber(img.gPitch), 1), value(toNumber(img.gRoll), 1), ''].join(','));
+  });
+  return lines.join('\n');
+}
+
+function rateMatch(pt, img, plannedIndex, flownIndex, limits) {
+  const offsetM = round(distanceM(img, pt), 2);
+  let altDevM = null;
+  let altRef = null;
+  if (isFiniteNumber(img.absAlt) && isFiniteNumber(pt.absoluteAltitude)) {
+    altDevM = round(img.absAlt - pt.absoluteAltitude, 2);
+    altRef = 'abs';
+  } else if (isFiniteNumber(img.relAlt) && isFinite(limits.height)) {
+    altDevM = round(img.relAlt - limits.height, 2);
+    altRef = 'rel';
+  }
+  const pitch = toNumber(img.gPitch);
+  const rollDeg = toNumber(img.gRoll);
+  const expectedPitch = isFiniteNumber(pt.gimbalPitch) ? pt.gimbalPitch : limits.defaultPitch;
+  const pitchDevDeg = pitch === null ? null : round(pitch - expectedPitch, 1);
+
+  const outliers = [];
+  if (altDevM !== null && Math.abs(altDevM) > limits.altTolerance) outliers.push('altitude');
+  if (pitchDevDeg !== null && Math.abs(pitchDevDeg) > limits.pitchTolerance) outliers.push('pitch');
+  if (rollDeg !== null && Math.abs(rollDeg) > limits.rollTolerance) outliers.push('roll');
+  return { plannedIndex, flownIndex, offsetM, altDevM, altRef, pitch, pitchDevDeg, rollDeg, outliers };
+}
+
+// Runs of consecutive missing shots on the same strip (in flight order)
+function findGaps(planned, order, matchedPlanned) {
+  const gaps = [];
+  let run = null;
+  order.forEach((idx) => {
+    const pt = planned[idx];
+    if (matchedPlanned[idx] !== null) {
+      run = null;
+      return;
+    }
+    if (!run || run.stripIndex !== pt.stripIndex || run.pass !== pt.pass) {
+      run = { stripIndex: pt.stripIndex, pass: pt.pass, plannedIndices: [], coordinates: [] };
+      gaps.push(run);
+    }
+    run.plannedIndices.push(idx);
+    run.coordinates.push([pt.lng, pt.lat]);
+  });
+  return gaps;
+}
+
+// Half the median distance between consecutive planned points (the photo spacing), at least 2 m
+function defaultMatchRadius(planned, order) {
+  const steps = [];
+  for (let i = 1; i < order.length; i++) {
+    const a = planned[order[i - 1]];
+    const b = planned[order[i]];
+    if (a.stripIndex === b.stripIndex) steps.push(distanceM(a, b));
+  }
+  if (!steps.length) return 10;
+  steps.sort((a, b) => a - b);
+  return Math.max(2, steps[Math.floor(steps.length / 2)] / 2);
+}
+
+// Simple hash grid over the planned points (cell = match radius) so matching stays fast for large flights
+function buildGrid(points, cellM) {
+  const cellDeg = cellM / 111320;
+  const cells = new Map();
+  points.forEach((pt, idx) => {
+    const key = gridKey(pt, cellDeg);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(idx);
+  });
+  return { cells, cellDeg };
+}
+
+function nearby(grid, pt, radiusM) {
+  // longitude cells shrink towards the poles: widen the search accordingly
+  const spanLat = Math.ceil(radiusM / 111320 / grid.cellDeg);
+  const spanLng = Math.ceil(spanLat / Math.max(Math.cos(pt.lat * Math.PI / 180), 0.01));
+  const [cx, cy] = gridKey(pt, grid.cellDeg).split(':').map(Number);
+  const result = [];
+  for (let dx = -spanLng; dx <= spanLng; dx++) {
+    for (let dy = -spanLat; dy <= spanLat; dy++) {
+      const list = grid.cells.get(`${cx + dx}:${cy + dy}`);
+      if (list) result.push(...list);
+    }
+  }
+  return result;
+}
+
+function gridKey(pt, cellDeg) {
+  return `${Math.floor(pt.lng / cellDeg)}:${Math.floor(pt.lat / cellDeg)}`;
+}
+
+function orderKey(planned, idx) {
+  return typeof planned[idx].routeOrder === 'number' ? planned[idx].routeOrder : idx;
+}
+
+function distanceM(a, b) {
+  return turf.distance(turf.point([a.lng, a.lat]), turf.point([b.lng, b.lat]), { units: 'kilometers' }) * 1000;
+}
+
+function toNumber(v) {
+  const n = typeof v === 'number' ? v : parseFloat(v);
+  return isFinite(n) ? n : null;
+}
+
+function numberOr(v, fallback) {
+  const n = parseFloat(v);
+  return isFinite(n) ? n : fallback;
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && isFinite(v);
+}
+
+function value(v, decimals) {
+  if (!isFiniteNumber(v)) return '';
+  return decimals === undefined ? String(v) : v.toFixed(decimals);
+}
+
+function csvText(v) {
+  const s = v === undefined || v === null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function round(v, decimals) {
+  return parseFloat(v.toFixed(decimals));
+}
\ No newline at end of file
@@ -0,0 +1,272 @@
+// Corridor module for Drone Planner
+// Exports:
+// - calculateCorridor(lineGeoJSON, drone, options) -> { photoPoints, stripLines, summaryStats }: strips along a line
+// - offsetLine(coordinates, offsetM, options) -> [[lng,lat], ...]: parallel line at a signed distance
+// - corridorPolygon(lineGeoJSON, width, options) -> GeoJSON Polygon: the area covered by the corridor
+//
+// Corridor mapping for linear objects (roads, pipelines, power lines): instead of scanning a polygon
+// in one direction, N parallel strips follow the centre line through its bends. Each strip is an
+// offset of the centre line; photos are spaced along each offset line, so the inner lines of a bend
+// get fewer photos than the outer ones. The output has the shape of calculateStrips (src/strips.js),
+// so route, elevations, terrain following, KML and the photo filter work unchanged.
+//
+// Offsets are computed in a local plane (equirectangular around the first vertex), good for
+// corridors of some ten kilometres. At the outside of a bend the lines are joined with a mitre (cut
+// off as a bevel beyond mitreLimit) or an arc; at the inside the offset segments are cut at their
+// intersection, so bends tighter than half the corridor width make the inner lines cut the corner.
+// Uses Turf.js (via src/deps.js).
+
+import { turf } from './deps.js';
+import { cameraFootprint, checkTriggerInterval } from './strips.js';
+
+const EARTH_RADIUS_M = 6371008.8;
+
+/**
+ * Strips and photo points along a centre line.
+ * @param {Object} lineGeoJSON - GeoJSON LineString (coordinates in [lng,lat] order) or a Feature of one
+ * @param {Object} drone - sensorWidth_px, sensorHeight_px, pixelSize_um, focalLength_mm, minPhotoInterval_s (optional)
+ * @param {Object} options - {
+ *     height: flight height in meters,
+ *     frontlap, sidelap: fractions (0..1, default 0.7 / 0.6),
+ *     width: corridor width in meters (default 50), centred on the line,
+ *     numStrips: number of strips (default: width / strip spacing at the sidelap, rounded up),
+ *     join: 'mitre' | 'round' at the outside of bends (default 'mitre'),
+ *     mitreLimit: longest mitre as a multiple of the offset (default 2),
+ *     speed: flight speed along the strips (m/s, default 10) for the trigger interval check
+ *   }
+ * @returns {Object} { photoPoints, stripLines, summaryStats } as calculateStrips; one nadir pass ('nadir'),
+ *   one part; summaryStats.corridor = { widthM, lineLengthKm, join }. Photo headings follow the line.
+ */
+export function calculateCorridor(lineGeoJSON, drone = {}, options = {}) {
+  const line = lineGeometry(lineGeoJSON);
+
+  const pixelSize_m = (drone.pixelSize_um || 0) * 1e-6;
+  const focal_m = (drone.focalLength_mm || 0) * 1e-3;
+  const sensorW_m = (drone.sensorWidth_px || 0) * pixelSize_m;
+  const sensorH_m = (drone.sensorHeight_px || 0) * pixelSize_m;
+  const height = parseFloat(options.height) || 0;
+  const frontlap = parseFloat(options.frontlap) || 0.7;
+  const sidelap = parseFloat(options.sidelap) || 0.6;
+  const width = parseFloat(options.width) || 50;
+  const join = options.join === 'round' ? 'round' : 'mitre';
+  if (!sensorW_m || !sensorH_m || !focal_m || !height) {
+    throw new Error('Missing sensor/pixel/focal/height parameters');
+  }
+
+  const footprint = cameraFootprint(height, sensorW_m, sensorH_m, focal_m, -90);
+  const stripSpacing = footprint.across * (1 - sidelap);
+  const photoSpacing = footprint.along * (1 - frontlap);
+  const numStrips = parseInt(options.numStrips, 10) > 0
+    ? parseInt(options.numStrips, 10)
+    : Math.max(1, Math.ceil(width / stripSpacing));
+
+  const plane = localPlane(line.coordinates[0]);
+  const centre = dedupe(line.coordinates.map(plane.toXY));
+  if (centre.length < 2) throw new Error('The corridor line needs at least 2 different points');
+
+  const photoPoints = [];
+  const stripLines = [];
+  let totalLengthM = 0;
+  // strips from the left edge to the right edge (looking along the line)
+  for (let i = 0; i < numStrips; i++) {
+    const offset = (numStrips - 1) / 2 * stripSpacing - i * stripSpacing;
+    const xy = offsetXY(centre, offset, { ...options, join });
+    const stripId = `corridor-${i}`;
+    stripLines.push({ id: stripId, stripIndex: i, partIndex: 0, pass: 'nadir', coordinates: xy.map(plane.toLngLat) });
+
+    const lengthM = polylineLength(xy);
+    totalLengthM += lengthM;
+    const stepCount = Math.floor(lengthM / photoSpacing);
+    for (let s = 0; s <= stepCount; s++) {
+      const { point, heading } = alongXY(xy, s * photoSpacing);
+      const [lng, lat] = plane.toLngLat(point);
+      photoPoints.push({
+        lat,
+        lng,
+        stripIndex: i,
+        pointIndex: s,
+        stripId,
+        partIndex: 0,
+        pass: 'nadir',
+        heading,
+        gimbalPitch: -90
+      });
+    }
+  }
+
+  const totalLengthKm = totalLengthM / 1000;
+  const areaHa = turf.area(corridorPolygon(line, width, { ...options, join })) / 10000;
+  const estTimeMin = Math.ceil(totalLengthKm / 0.6); // as calculateStrips: strips at 10 m/s, no turns
+  const summaryStats = {
+    areaHa: parseFloat(areaHa.toFixed(2)),
+    numStrips,
+    numPhotos: photoPoints.length,
+    totalLengthKm: parseFloat(totalLengthKm.toFixed(2)),
+    estTimeMin,
+    multiPartMode: 'single',
+    pattern: 'single',
+    passes: [{ id: 'nadir', direction: null, cameraHeading: null, gimbalPitch: -90, numStrips, numPhotos: photoPoints.length }],
+    photosPerPass: { nadir: photoPoints.length },
+    parts: [{
+      partIndex: 0,
+      areaHa: parseFloat(areaHa.toFixed(2)),
+      numStrips,
+      numPhotos: photoPoints.length,
+      totalLengthKm: parseFloat(totalLengthKm.toFixed(2)),
+      estTimeMin
+    }],
+    transitLegs: [],
+    transitLengthKm: 0,
+    photoSpacingM: parseFloat(photoSpacing.toFixed(2)),
+    triggerInterval: checkTriggerInterval(photoSpacing, parseFloat(options.speed) || 10, drone),
+    corridor: {
+      widthM: width,
+      lineLengthKm: parseFloat((polylineLength(centre) / 1000).toFixed(2)),
+      join
+    }
+  };
+
+  return { photoPoints, stripLines, summaryStats };
+}
+
+/**
+ * Line parallel to a polyline.
+ * @param {Array} coordinates - [[lng,lat], ...]
+ * @param {number} offsetM - distance in meters, positive = left of the line direction
+ * @param {Object} options - { join: 'mitre' | 'round' (default 'mitre'), mitreLimit (default 2), arcStepDeg (default 15) }
+ * @returns {Array} [[lng,lat], ...]
+ */
+export function offsetLine(coordinates, offsetM, options = {}) {
+  const plane = localPlane(coordinates[0]);
+  const xy = dedupe(coordinates.map(plane.toXY));
+  if (xy.length < 2) throw new Error('The line needs at least 2 different points');
+  return offsetXY(xy, parseFloat(offsetM) || 0, options).map(plane.toLngLat);
+}
+
+/**
+ * Outline of a corridor: the left and right offset lines at half the width, closed at the ends.
+ * @param {Object} lineGeoJSON - GeoJSON LineString or a Feature of one
+ * @param {number} width - corridor width in meters
+ * @param {Object} options - { join, mitreLimit, arcStepDeg } as for offsetLine
+ * @returns {Object} GeoJSON Polygon
+ */
+export function corridorPolygon(lineGeoJSON, width, options = {}) {
+  const line = lineGeometry(lineGeoJSON);
+  const half = (parseFloat(width) || 0) / 2;
+  if (!(half > 0)) throw new Error('The corridor width must be greater than 0');
+  const left = offsetLine(line.coordinates, half, options);
+  const right = offsetLine(line.coordinates, -half, options);
+  const ring = left.concat(right.reverse());
+  return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+}
+
+// Offset polyline in the local plane: segment normals point left; joints as described in the module header
+function offsetXY(pts, d, options) {
+  if (d === 0) return pts.slice();
+  const join = options.join === 'round' ? 'round' : 'mitre';
+  const mitreLimit = parseFloat(options.mitreLimit) || 2;
+  const arcStep = (parseFloat(options.arcStepDeg) || 15) * Math.PI / 180;
+  const dirs = [];
+  for (let i = 0; i < pts.length - 1; i++) {
+    const dx = pts[i + 1][0] - pts[i][0];
+    const dy = pts[i + 1][1] - pts[i][1];
+    const len = Math.hypot(dx, dy);
+    dirs.push([dx / len, dy / len]);
+  }
+  const shift = (p, u) => [p[0] - u[1] * d, p[1] + u[0] * d];
+
+  const out = [shift(pts[0], dirs[0])];
+  for (let i = 1; i < pts.length - 1; i++) {
+    const u1 = dirs[i - 1];
+    const u2 = dirs[i];
+    const a = shift(pts[i], u1);
+    const b = shift(pts[i], u2);
+    const cross = u1[0] * u2[1] - u1[1] * u2[0];
+    const dot = u1[0] * u2[0] + u1[1] * u2[1];
+    if (Math.abs(cross) < 1e-9) {
+      // straight on: one point; hairpin: both ends
+      if (dot > 0) out.push(a);
+      else out.push(a, b);
+      continue;
+    }
+    const corner = intersect(a, u1, b, u2);
+    const outside = cross * d < 0; // a left turn has its outside on the right
+    if (!outside) {
+      out.push(corner);
+    } else if (join === 'round') {
+      const start = Math.atan2(a[1] - pts[i][1], a[0] - pts[i][0]);
+      let sweep = Math.atan2(b[1] - pts[i][1], b[0] - pts[i][0]) - start;
+      if (sweep > Math.PI) sweep -= 2 * Math.PI;
+      if (sweep < -Math.PI) sweep += 2 * Math.PI;
+      const steps = Math.max(1, Math.ceil(Math.abs(sweep) / arcStep));
+      const r = Math.abs(d);
+      for (let s = 0; s <= steps; s++) {
+        const angle = start + sweep * s / steps;
+        out.push([pts[i][0] + r * Math.cos(angle), pts[i][1] + r * Math.sin(angle)]);
+      }
+    } else if (Math.hypot(corner[0] - pts[i][0], corner[1] - pts[i][1]) <= mitreLimit * Math.abs(d)) {
+      out.push(corner);
+    } else {
+      out.push(a, b); // bevel
+    }
+  }
+  out.push(shift(pts[pts.length - 1], dirs[dirs.length - 1]));
+  return dedupe(out);
+}
+
+// Intersection of the lines p + t*u and q + s*v
+function intersect(p, u, q, v) {
+  const t = ((q[0] - p[0]) * v[1] - (q[1] - p[1]) * v[0]) / (u[0] * v[1] - u[1] * v[0]);
+  return [p[0] + t * u[0], p[1] + t * u[1]];
+}
+
+// Point at a distance along a plane polyline and the heading of its segment (degrees, 0 = north)
+function alongXY(pts, dist) {
+  let rest = dist;
+  for (let i = 0; i < pts.length - 1; i++) {
+    const dx = pts[i + 1][0] - pts[i][0];
+    const dy = pts[i + 1][1] - pts[i][1];
+    const len = Math.hypot(dx, dy);
+    if (rest <= len || i === pts.length - 2) {
+      const f = len > 0 ? Math.min(1, rest / len) : 0;
+      const heading = (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360;
+      return { point: [pts[i][0] + f * dx, pts[i][1] + f * dy], heading: parseFloat(heading.toFixed(1)) };
+    }
+    rest -= len;
+  }
+  return { point: pts[0], heading: 0 };
+}
+
+function polylineLength(pts) {
+  let sum = 0;
+  for (let i = 1; i < pts.length; i++) sum += Math.hypot(pts[i][0] - pts[i - 1][0], pts[i][1] - pts[i - 1][1]);
+  return sum;
+}
+
+// Drop repeated points (closer than 1 cm)
+function dedupe(pts) {
+  return pts.filter((p, i) => i === 0 || Math.hypot(p[0] - pts[i - 1][0], p[1] - pts[i - 1][1]) > 0.01);
+}
+
+// Equirectangular projection around an origin [lng, lat]: x east, y north in meters
+function localPlane(origin) {
+  const [lng0, lat0] = origin;
+  const rad = Math.PI / 180;
+  const kx = EARTH_RADIUS_M * Math.cos(lat0 * rad) * rad;
+  const ky = EARTH_RADIUS_M * rad;
+  return {
+    toXY: (c) => [(c[0] - lng0) * kx, (c[1] - lat0) * ky],
+    toLngLat: (p) => [lng0 + p[0] / kx, lat0 + p[1] / ky]
+  };
+}
+
+function lineGeometry(input) {
+  const geometry = input && input.type === 'Feature' ? input.geometry : input;
+  if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+    throw new Error('The corridor needs a GeoJSON LineString');
+  }
+  if (geometry.coordinates.some((c) => !Array.isArray(c) || !isFinite(c[0]) || !isFinite(c[1]))) {
+    throw new Error('The corridor line has invalid coordinates');
+  }
+  return geometry;
+}
\ No newline at end of file
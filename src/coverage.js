@@ -0,0 +1,158 @@
+// Coverage module for Drone Planner
+// Exports:
+// - photoFootprint(pt, drone, options) -> GeoJSON Polygon | null: ground footprint of one photo
+// - computeCoverage(polygonGeoJSON, footprints, options) -> { cells, cellSizeM, stats }: overlap count grid
+// - coverageGrid(polygonGeoJSON, footprints, options) -> { cells, cellSizeM }: grid cells with the footprints covering them
+//
+// Footprints assume flat ground below each photo: the height is the photo's own height above ground
+// (terrain following / elevations) or the flight height. The sensor width lies across the camera
+// heading, the sensor height along it; tilted cameras give a trapezoid (cameraFootprint, src/strips.js).
+// Uses Turf.js (via src/deps.js).
+
+import { turf } from './deps.js';
+import { cameraFootprint } from './strips.js';
+
+/**
+ * Ground footprint of a photo.
+ * @param {Object} pt - photo point { lat, lng, heading, gimbalPitch, heightAgl, elevation, absoluteAltitude }
+ * @param {Object} drone - { sensorWidth_px, sensorHeight_px, pixelSize_um, focalLength_mm }
+ * @param {Object} options - {
+ *     height: height above ground when the point has no elevation data (m),
+ *     direction: camera heading when the point has none (degrees, 0 = north),
+ *     gimbalPitch: pitch when the point has none (default -90 = nadir)
+ *   }
+ * @returns {Object|null} GeoJSON Polygon, null if the size is unknown or the image reaches the horizon
+ */
+export function photoFootprint(pt, drone = {}, options = {}) {
+  const pixelSize_m = (drone.pixelSize_um || 0) * 1e-6;
+  const focal_m = (drone.focalLength_mm || 0) * 1e-3;
+  const sensorW_m = (drone.sensorWidth_px || 0) * pixelSize_m;
+  const sensorH_m = (drone.sensorHeight_px || 0) * pixelSize_m;
+  const height = photoHeight(pt, options);
+  if (!sensorW_m || !sensorH_m || !focal_m || !(height > 0)) return null;
+
+  const heading = isFiniteNumber(pt.heading) ? pt.heading : (parseFloat(options.direction) || 0);
+  const pitch = isFiniteNumber(pt.gimbalPitch) ? pt.gimbalPitch
+    : (isFiniteNumber(options.gimbalPitch) ? options.gimbalPitch : -90);
+  let footprint;
+  try {
+    footprint = cameraFootprint(height, sensorW_m, sensorH_m, focal_m, pitch);
+  } catch (err) {
+    return null; // the image reaches the horizon
+  }
+  const { near, far, nearHalfWidth, farHalfWidth } = footprint;
+
+  const corners = [
+    [-nearHalfWidth, near], [nearHalfWidth, near],
+    [farHalfWidth, far], [-farHalfWidth, far]
+  ].map(([x, y]) => offsetPoint(pt, heading, x, y));
+  return { type: 'Polygon', coordinates: [[...corners, corners[0]]] };
+}
+
+/**
+ * Count the footprints covering a regular grid over the survey area. A cell counts as covered by a
+ * footprint if its centre lies inside; only cells with their centre inside the area are returned.
+ * @param {Object} polygonGeoJSON - GeoJSON Polygon or MultiPolygon (survey area)
+ * @param {Array<Object>} footprints - GeoJSON Polygons (null entries are ignored)
+ * @param {Object} options - {
+ *     cellSize: grid cell size (m, default 10; enlarged so the grid has at most maxCells cells),
+ *     maxCells: default 5000,
+ *     targetOverlap: required number of images per point (default 5)
+ *   }
+ * @returns {Object} {
+ *   cells: [{ bbox: [west, south, east, north], count }],
+ *   cellSizeM,
+ *   stats: { targetOverlap, numCells, belowTargetPct, uncoveredPct, minOverlap, meanOverlap }
+ * }
+ */
+export function computeCoverage(polygonGeoJSON, footprints = [], options = {}) {
+  const targetOverlap = parseInt(options.targetOverlap, 10) || 5;
+  const { cells, cellSizeM } = coverageGrid(polygonGeoJSON, footprints, options);
+
+  const counts = cells.map((c) => c.footprints.length);
+  const pct = (n) => (cells.length ? parseFloat((n / cells.length * 100).toFixed(1)) : 0);
+  return {
+    cells: cells.map(({ bbox, footprints: covering }) => ({ bbox, count: covering.length })),
+    cellSizeM,
+    stats: {
+      targetOverlap,
+      numCells: cells.length,
+      belowTargetPct: pct(counts.filter((c) => c < targetOverlap).length),
+      uncoveredPct: pct(counts.filter((c) => c === 0).length),
+      minOverlap: counts.length ? Math.min(...counts) : 0,
+      meanOverlap: counts.length ? parseFloat((counts.reduce((a, b) => a + b, 0) / counts.length).toFixed(1)) : 0
+    }
+  };
+}
+
+/**
+ * The grid of computeCoverage with the footprints covering each cell (same cell rule and options).
+ * @param {Object} polygonGeoJSON - GeoJSON Polygon or MultiPolygon (survey area)
+ * @param {Array<Object>} footprints - GeoJSON Polygons (null entries are ignored)
+ * @param {Object} options - { cellSize, maxCells } as for computeCoverage
+ * @returns {Object} { cells: [{ bbox, centre, footprints: [index into footprints] }], cellSizeM }
+ */
+export function coverageGrid(polygonGeoJSON, footprints = [], options = {}) {
+  const maxCells = parseInt(options.maxCells, 10) || 5000;
+  const area = turf.area(polygonGeoJSON);
+  const cellSizeM = Math.max(parseFloat(options.cellSize) || 10, Math.sqrt(area / maxCells));
+
+  const [west, south, east, north] = turf.bbox(polygonGeoJSON);
+  const midLat = (south + north) / 2;
+  const dLat = cellSizeM / 111320;
+  const dLng = cellSizeM / (111320 * Math.cos(midLat * Math.PI / 180));
+  const nx = Math.max(1, Math.ceil((east - west) / dLng));
+  const ny = Math.max(1, Math.ceil((north - south) / dLat));
+
+  // Grid cells inside the area, indexed by column/row for the footprint lookup
+  const grid = new Array(nx * ny).fill(null);
+  const cells = [];
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const w = west + i * dLng;
+      const s = south + j * dLat;
+      const centre = [w + dLng / 2, s + dLat / 2];
+      if (!turf.booleanPointInPolygon(turf.point(centre), polygonGeoJSON)) continue;
+      const cell = { bbox: [w, s, w + dLng, s + dLat], centre, footprints: [] };
+      grid[j * nx + i] = cell;
+      cells.push(cell);
+    }
+  }
+
+  footprints.forEach((fp, idx) => {
+    if (!fp) return;
+    const [fw, fs, fe, fn] = turf.bbox(fp);
+    const i0 = Math.max(0, Math.floor((fw - west) / dLng));
+    const i1 = Math.min(nx - 1, Math.floor((fe - west) / dLng));
+    const j0 = Math.max(0, Math.floor((fs - south) / dLat));
+    const j1 = Math.min(ny - 1, Math.floor((fn - south) / dLat));
+    for (let j = j0; j <= j1; j++) {
+      for (let i = i0; i <= i1; i++) {
+        const cell = grid[j * nx + i];
+        if (cell && turf.booleanPointInPolygon(turf.point(cell.centre), fp)) cell.footprints.push(idx);
+      }
+    }
+  });
+  return { cells, cellSizeM: parseFloat(cellSizeM.toFixed(1)) };
+}
+
+// Height above ground at the photo: terrain-following AGL, else altitude minus terrain, else flight height
+function photoHeight(pt, options) {
+  if (isFiniteNumber(pt.heightAgl)) return pt.heightAgl;
+  if (isFiniteNumber(pt.absoluteAltitude) && isFiniteNumber(pt.elevation)) {
+    return pt.absoluteAltitude - pt.elevation;
+  }
+  return parseFloat(options.height) || 0;
+}
+
+// Point x meters right of and y meters ahead of the photo position (heading = ahead) -> [lng, lat]
+function offsetPoint(pt, heading, x, y) {
+  const dist = Math.hypot(x, y);
+  if (dist === 0) return [pt.lng, pt.lat];
+  const bearing = heading + Math.atan2(x, y) * 180 / Math.PI;
+  return turf.destination(turf.point([pt.lng, pt.lat]), dist / 1000, bearing, { units: 'kilometers' }).geometry.coordinates;
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && isFinite(v);
+}
\ No newline at end of file
@@ -0,0 +1,290 @@
+// Coordinate reference system module for Drone Planner
+// Exports:
+// - CRS_LIST: built-in CRS [{ code, name, def }] (WGS84, UTM zones, common national grids)
+// - crsByCode(code) -> crs | null: list entry or generated UTM definition for an EPSG code
+// - parsePrj(text) -> crs: CRS of a shapefile .prj (ESRI or OGC WKT)
+// - isGeographic(crs) -> boolean
+// - toWgs84(crs, [x, y]) -> [lng, lat] / fromWgs84(crs, lng, lat) -> [x, y]
+// - reprojectGeometry(geometry, crs) -> GeoJSON geometry in WGS84 lon/lat
+// - looksProjected(geometry) -> boolean: coordinates outside the lon/lat range
+// - parseAsciiGrid(text, name) -> raster: ESRI ASCII grid (.asc), e.g. a geoid undulation grid
+// - loadGeoidFile(file) -> Promise<raster>: geoid model from .asc or a geographic GeoTIFF
+// - projectPoints(points, crs, options) -> [{ easting, northing, height }]
+//
+// A crs is a plain object { code, name, def } where def is a proj4 definition (proj4 string or WKT).
+// Heights of the app (terrain elevation + flight height, absoluteAltitude) are orthometric: the
+// elevation providers deliver heights above the geoid. An ellipsoidal height needs the geoid
+// undulation N at the point (h = H + N), read from a loaded geoid raster.
+// Uses proj4js (via src/deps.js; the global `proj4` loaded via CDN in the browser).
+
+import { proj4 } from './deps.js';
+import { loadDemFile, sampleRaster } from './elevation-providers.js';
+
+const WGS84 = { code: 'EPSG:4326', name: 'WGS 84 (lat/lon)', def: '+proj=longlat +datum=WGS84 +no_defs' };
+
+export const CRS_LIST = [
+  WGS84,
+  ...[31, 32, 33, 34].map((zone) => utmCrs(25800 + zone)),
+  ...[31, 32, 33, 34].map((zone) => utmCrs(32600 + zone)),
+  ...[2, 3, 4, 5].map((zone) => ({
+    code: `EPSG:${31464 + zone}`,
+    name: `DHDN / 3-degree Gauss-Kruger zone ${zone}`,
+    def: `+proj=tmerc +lat_0=0 +lon_0=${zone * 3} +k=1 +x_0=${zone}500000 +y_0=0 +ellps=bessel `
+      + '+towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs'
+  })),
+  {
+    code: 'EPSG:31287',
+    name: 'MGI / Austria Lambert',
+    def: '+proj=lcc +lat_0=47.5 +lon_0=13.3333333333333 +lat_1=49 +lat_2=46 +x_0=400000 +y_0=400000 +ellps=bessel '
+      + '+towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m +no_defs'
+  },
+  {
+    code: 'EPSG:2056',
+    name: 'CH1903+ / LV95',
+    def: '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel '
+      + '+towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs'
+  },
+  {
+    code: 'EPSG:27700',
+    name: 'OSGB36 / British National Grid',
+    def: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy '
+      + '+towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs'
+  },
+  {
+    code: 'EPSG:28992',
+    name: 'Amersfoort / RD New',
+    def: '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel '
+      + '+towgs84=565.4171,50.3319,465.5524,1.9342,-1.6677,9.1019,4.0725 +units=m +no_defs'
+  },
+  {
+    code: 'EPSG:2154',
+    name: 'RGF93 / Lambert-93',
+    def: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 '
+      + '+towgs84=0,0,0,0,0,0,0 +units=m +no_defs'
+  }
+];
+
+/**
+ * @param {string|number} code - 'EPSG:25832', '25832' or 25832
+ * @returns {Object|null} crs from CRS_LIST; other ETRS89 (258xx) and WGS 84 (326xx/327xx) UTM zones are
+ *   generated, null for unknown codes
+ */
+export function crsByCode(code) {
+  const m = /^(?:EPSG:)?(\d+)$/i.exec(String(code).trim());
+  if (!m) return null;
+  const n = parseInt(m[1], 10);
+  const known = CRS_LIST.find((c) => c.code === `EPSG:${n}`);
+  if (known) return known;
+  return utmCrs(n);
+}
+
+/**
+ * CRS of a .prj file. An EPSG authority code (OGC WKT) or a UTM zone name (ESRI WKT, e.g.
+ * "ETRS_1989_UTM_Zone_32N") is mapped to the built-in definition; any other WKT is handed to proj4
+ * as it is.
+ * @param {string} text - .prj content
+ * @returns {Object} crs
+ */
+export function parsePrj(text) {
+  const wkt = String(text || '').trim();
+  const kind = /^\s*(PROJCS|GEOGCS|PROJCRS|GEOGCRS|GEODCRS)\s*\[\s*"([^"]*)"/i.exec(wkt);
+  if (!kind) throw new Error('.prj does not contain a WKT coordinate system');
+  const name = kind[2];
+
+  // OGC WKT: the authority of the whole CRS is the last one (nested ones belong to datum, units, ...)
+  const authorities = [...wkt.matchAll(/(?:AUTHORITY|ID)\s*\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]/gi)];
+  if (authorities.length) {
+    const known = crsByCode(authorities[authorities.length - 1][1]);
+    if (known) return known;
+  }
+
+  const utm = /UTM[_ ]+zone[_ ]+(\d{1,2})\s*([NS])/i.exec(name);
+  if (utm) {
+    const zone = parseInt(utm[1], 10);
+    const south = utm[2].toUpperCase() === 'S';
+    if (/ETRS|ETRF/i.test(name) && !south) return utmCrs(25800 + zone);
+    if (/WGS[_ ]*(19)?84/i.test(name)) return utmCrs((south ? 32700 : 32600) + zone);
+  }
+  if (/^GEOG/i.test(kind[1]) && /WGS[_ ]*(19)?84/i.test(name)) return WGS84;
+
+  return { code: null, name: name.replace(/_/g, ' '), def: wkt };
+}
+
+/**
+ * @param {Object} crs
+ * @returns {boolean} true for lon/lat coordinate systems
+ */
+export function isGeographic(crs) {
+  return !!crs && (crs.code === WGS84.code || /\+proj=longlat/.test(crs.def) || /^\s*(GEOGCS|GEOGCRS|GEODCRS)/i.test(crs.def));
+}
+
+/**
+ * @param {Object} crs
+ * @param {Array<number>} coord - [x, y] (easting, northing) in crs
+ * @returns {Array<number>} [lng, lat]
+ */
+export function toWgs84(crs, coord) {
+  if (crs.code === WGS84.code) return [coord[0], coord[1]];
+  return proj4(crs.def, WGS84.def, [coord[0], coord[1]]);
+}
+
+/**
+ * @param {Object} crs
+ * @param {number} lng
+ * @param {number} lat
+ * @returns {Array<number>} [x, y] (easting, northing) in crs
+ */
+export function fromWgs84(crs, lng, lat) {
+  if (crs.code === WGS84.code) return [lng, lat];
+  return proj4(WGS84.def, crs.def, [lng, lat]);
+}
+
+/**
+ * Reproject a GeoJSON geometry (any type, including GeometryCollection) from crs to WGS84 lon/lat.
+ * A third coordinate (height) is kept unchanged.
+ * @param {Object} geometry
+ * @param {Object} crs
+ * @returns {Object} new geometry
+ */
+export function reprojectGeometry(geometry, crs) {
+  if (!geometry) return geometry;
+  if (geometry.type === 'GeometryCollection') {
+    return { type: 'GeometryCollection', geometries: geometry.geometries.map((g) => reprojectGeometry(g, crs)) };
+  }
+  const transform = (c) => {
+    if (typeof c[0] === 'number') {
+      const [lng, lat] = toWgs84(crs, c);
+      return c.length > 2 ? [lng, lat, ...c.slice(2)] : [lng, lat];
+    }
+    return c.map(transform);
+  };
+  return { ...geometry, coordinates: transform(geometry.coordinates) };
+}
+
+/**
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} true if a coordinate lies outside the lon/lat range (projected data read as lon/lat)
+ */
+export function looksProjected(geometry) {
+  let projected = false;
+  const check = (c) => {
+    if (projected) return;
+    if (typeof c[0] === 'number') projected = Math.abs(c[0]) > 180 || Math.abs(c[1]) > 90;
+    else c.forEach(check);
+  };
+  if (geometry && geometry.type === 'GeometryCollection') return geometry.geometries.some(looksProjected);
+  if (geometry && geometry.coordinates) check(geometry.coordinates);
+  return projected;
+}
+
+/**
+ * Parse an ESRI ASCII grid in geographic coordinates (header ncols, nrows, xllcorner|xllcenter,
+ * yllcorner|yllcenter, cellsize, optional NODATA_value; rows from north to south).
+ * @param {string} text
+ * @param {string} name
+ * @returns {Object} raster for sampleRaster (see src/elevation-providers.js)
+ */
+export function parseAsciiGrid(text, name = 'grid.asc') {
+  const tokens = String(text).trim().split(/\s+/);
+  const header = {};
+  let pos = 0;
+  while (pos < tokens.length - 1 && /^[a-z_]+$/i.test(tokens[pos])) {
+    header[tokens[pos].toLowerCase()] = parseFloat(tokens[pos + 1]);
+    pos += 2;
+  }
+  const width = header.ncols;
+  const height = header.nrows;
+  const cell = header.cellsize;
+  if (!Number.isInteger(width) || !Number.isInteger(height) || !(width > 1) || !(height > 1) || !(cell > 0)) {
+    throw new Error(`${name}: invalid ASCII grid header`);
+  }
+  const corner = header.xllcorner !== undefined;
+  const xll = corner ? header.xllcorner : header.xllcenter;
+  const yll = corner ? header.yllcorner : header.yllcenter;
+  if (!isFinite(xll) || !isFinite(yll)) throw new Error(`${name}: ASCII grid without lower left corner`);
+  // check the values before allocating the grid: a broken header must not allocate ncols × nrows cells
+  if (tokens.length - pos !== width * height) {
+    throw new Error(`${name}: ASCII grid has ${tokens.length - pos} values, expected ncols × nrows = ${width * height}`);
+  }
+
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = parseFloat(tokens[pos + i]);
+    if (isNaN(data[i])) throw new Error(`${name}: ASCII grid value "${tokens[pos + i]}" is not a number`);
+  }
+
+  const half = corner ? cell / 2 : 0;
+  return {
+    name,
+    width,
+    height,
+    x0: xll + half,
+    y0: yll + half + (height - 1) * cell,
+    xRes: cell,
+    yRes: cell,
+    data,
+    noData: header.nodata_value === undefined ? null : header.nodata_value
+  };
+}
+
+/**
+ * Load a geoid undulation model (values = geoid height above the ellipsoid N in meters).
+ * @param {File} file - .asc (ESRI ASCII grid) or single-band geographic GeoTIFF
+ * @returns {Promise<Object>} raster
+ */
+export async function loadGeoidFile(file) {
+  if (/\.(asc|txt)$/i.test(file.name || '')) return parseAsciiGrid(await file.text(), file.name);
+  return loadDemFile(file);
+}
+
+/**
+ * Project points and pick their height.
+ * @param {Array<Object>} points - [{ lat, lng, absoluteAltitude }] (orthometric heights)
+ * @param {Object} crs - target crs
+ * @param {Object} options - {
+ *     heightMode: 'orthometric' (default) | 'ellipsoidal',
+ *     geoid: raster with the geoid undulation (required for 'ellipsoidal')
+ *   }
+ * @returns {Array<Object>} [{ easting, northing, height }] aligned to points; height is null without an
+ *   altitude or outside the geoid model
+ */
+export function projectPoints(points = [], crs = WGS84, options = {}) {
+  const ellipsoidal = options.heightMode === 'ellipsoidal';
+  if (ellipsoidal && !options.geoid) throw new Error('Ellipsoidal heights need a geoid model');
+  return points.map((p) => {
+    const [easting, northing] = fromWgs84(crs, p.lng, p.lat);
+    let height = isFiniteNumber(p.absoluteAltitude) ? p.absoluteAltitude : null;
+    if (height !== null && ellipsoidal) {
+      const n = sampleRaster(options.geoid, p.lat, p.lng);
+      height = n === null ? null : height + n;
+    }
+    return { easting, northing, height };
+  });
+}
+
+// UTM definition for ETRS89 (258zz, northern zones) and WGS 84 (326zz north / 327zz south), null otherwise
+function utmCrs(code) {
+  const zone = code % 100;
+  if (zone < 1 || zone > 60) return null;
+  const base = code - zone;
+  if (base === 25800) {
+    return {
+      code: `EPSG:${code}`,
+      name: `ETRS89 / UTM zone ${zone}N`,
+      def: `+proj=utm +zone=${zone} +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs`
+    };
+  }
+  if (base === 32600 || base === 32700) {
+    const south = base === 32700;
+    return {
+      code: `EPSG:${code}`,
+      name: `WGS 84 / UTM zone ${zone}${south ? 'S' : 'N'}`,
+      def: `+proj=utm +zone=${zone}${south ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`
+    };
+  }
+  return null;
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && isFinite(v);
+}
\ No newline at end of file
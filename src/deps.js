@@ -0,0 +1,23 @@
+// Dependency module for Drone Planner
+// Exports:
+// - turf: Turf.js as used by the planning modules (live binding)
+// - proj4: proj4js as used by src/crs.js (live binding)
+// - setDependencies({ turf, proj4 }): inject the libraries; a missing entry falls back to the global
+//
+// The planning modules import their geometry libraries from here instead of reading browser globals.
+// In the browser the CDN scripts define the globals before the modules run, so nothing needs to be
+// configured. Under Node (CLI, tests) call setDependencies once before planning:
+//   import * as turf from '@turf/turf';
+//   setDependencies({ turf });
+
+export let turf = globalThis.turf;
+export let proj4 = globalThis.proj4;
+
+/**
+ * Replace the geometry libraries of all planning modules.
+ * @param {Object} deps - { turf, proj4 }, each optional
+ */
+export function setDependencies(deps = {}) {
+  turf = deps.turf || globalThis.turf;
+  proj4 = deps.proj4 || globalThis.proj4;
+}
\ No newline at end of file
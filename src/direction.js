@@ -0,0 +1,102 @@
+// Flight direction optimizer for Drone Planner
+// Exports:
+// - candidateDirections(polygonGeoJSON, options) -> [deg]: headings aligned to the polygon edges plus a regular sweep
+// - optimizeDirection(polygonGeoJSON, drone, options, onProgress) -> Promise<[candidate]>: ranked candidates
+//
+// Every candidate runs the real strip calculation (src/strips.js) and route builder (src/route.js), so
+// the ranking includes turns and transits. Headings are taken modulo 180: a heading and its reverse
+// give the same strips. Terrain following is not applied (it would need elevations per candidate).
+
+import { turf } from './deps.js';
+import { calculateStrips } from './strips.js';
+import { buildRoute } from './route.js';
+
+export const DIRECTION_METRICS = ['routeLength', 'numStrips', 'time'];
+
+/**
+ * Candidate headings: the bearing of every outer ring edge (long edges of narrow fields give few,
+ * long strips) plus a sweep every `step` degrees. Duplicates (within 0.5°) are removed.
+ * @param {Object} polygonGeoJSON - GeoJSON Polygon or MultiPolygon
+ * @param {Object} options - { step: sweep step in degrees (default 10), minEdgeLength: ignore shorter edges (m, default 10) }
+ * @returns {Array<number>} headings in [0, 180)
+ */
+export function candidateDirections(polygonGeoJSON, options = {}) {
+  const step = parseFloat(options.step) || 10;
+  const minEdgeLength = isNaN(parseFloat(options.minEdgeLength)) ? 10 : parseFloat(options.minEdgeLength);
+  const outerRings = polygonGeoJSON.type === 'MultiPolygon'
+    ? polygonGeoJSON.coordinates.map((rings) => rings[0])
+    : [polygonGeoJSON.coordinates[0]];
+
+  const headings = [];
+  outerRings.forEach((ring) => {
+    for (let i = 1; i < ring.length; i++) {
+      const a = turf.point(ring[i - 1]);
+      const b = turf.point(ring[i]);
+      if (turf.distance(a, b, { units: 'kilometers' }) * 1000 < minEdgeLength) continue;
+      headings.push(normalize(turf.bearing(a, b)));
+    }
+  });
+  for (let d = 0; d < 180; d += step) headings.push(d);
+
+  const unique = [];
+  headings.forEach((h) => {
+    const rounded = parseFloat(h.toFixed(1));
+    if (!unique.some((u) => angleDiff(u, rounded) < 0.5)) unique.push(rounded);
+  });
+  return unique.sort((a, b) => a - b);
+}
+
+/**
+ * Plan every candidate heading and rank them.
+ * @param {Object} polygonGeoJSON - GeoJSON Polygon or MultiPolygon
+ * @param {Object} drone - as for calculateStrips
+ * @param {Object} options - calculateStrips options (height, frontlap, sidelap, multiPartMode, ...) plus
+ *   route options (home, cruiseSpeed, turnSpeed, hoverTimeS, ...) and
+ *   { metric: 'routeLength' | 'numStrips' | 'time' (default 'routeLength'), step, minEdgeLength }
+ * @param {Function} onProgress - optional (done, total)
+ * @returns {Promise<Array<Object>>} candidates sorted best first:
+ *   [{ direction, numStrips, numPhotos, routeLengthKm, estTimeMin, result }] where result is the
+ *   calculateStrips output for that heading (for previews)
+ */
+export async function optimizeDirection(polygonGeoJSON, drone = {}, options = {}, onProgress) {
+  const metric = DIRECTION_METRICS.includes(options.metric) ? options.metric : 'routeLength';
+  const directions = candidateDirections(polygonGeoJSON, options);
+  const candidates = [];
+
+  for (let i = 0; i < directions.length; i++) {
+    const direction = directions[i];
+    try {
+      const result = calculateStrips(polygonGeoJSON, { ...drone }, { ...options, direction });
+      const route = buildRoute(result, options);
+      candidates.push({
+        direction,
+        numStrips: result.summaryStats.numStrips,
+        numPhotos: result.summaryStats.numPhotos,
+        routeLengthKm: route.stats.totalDistanceKm,
+        estTimeMin: route.stats.totalTimeMin,
+        result
+      });
+    } catch (err) {
+      console.warn(`Direction ${direction}° failed:`, err);
+    }
+    if (onProgress) onProgress(i + 1, directions.length);
+    // keep the UI responsive between candidates
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  const key = {
+    routeLength: (c) => c.routeLengthKm,
+    numStrips: (c) => c.numStrips,
+    time: (c) => c.estTimeMin
+  }[metric];
+  return candidates.sort((a, b) => (key(a) - key(b)) || (a.estTimeMin - b.estTimeMin));
+}
+
+function normalize(bearing) {
+  return ((bearing % 180) + 180) % 180;
+}
+
+function angleDiff(a, b) {
+  const d = Math.abs(a - b) % 180;
+  return Math.min(d, 180 - d);
+}
\ No newline at end of file
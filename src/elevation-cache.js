@@ -0,0 +1,120 @@
+// Elevation cache module for Drone Planner
+// Exports:
+// - openElevationCache(options) -> Promise<cache>: persistent (IndexedDB) elevation cache
+// - gridPointsForBbox(bbox, gridArcSec, maxPoints) -> [{lat,lng}]: cell centres for pre-warming
+//
+// Coordinates are quantized to a grid of `gridArcSec` arc seconds (default 1" ~ 30 m, the SRTM
+// resolution). Every point inside a cell shares one lookup. fetchElevationsBatch (src/elevation.js)
+// stores the entries per provider (provider name + cell key) and reads them in chain order, so values
+// of one provider never stand in for another. Only real elevations (status 'ok') are stored; fallback
+// zeros are never cached.
+
+const DB_NAME = 'dronePlannerElevationCache';
+const STORE = 'elevations';
+
+/**
+ * Open (or create) the IndexedDB elevation cache.
+ * @param {Object} options - { gridArcSec: grid size in arc seconds (default 1) }
+ * @returns {Promise<Object>} cache {
+ *   gridArcSec,
+ *   cellOf(lat, lng) -> { key, lat, lng }   // quantized cell with its centre (the key has no provider)
+ *   getMany(keys) -> Promise<Array<{elevation, source}|null>>
+ *   putMany(entries[{key, elevation, source}]) -> Promise<void>
+ *   clear() -> Promise<void>
+ *   count() -> Promise<number>
+ * }
+ */
+export async function openElevationCache(options = {}) {
+  if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+  const gridArcSec = parseFloat(options.gridArcSec) || 1;
+  const step = gridArcSec / 3600; // degrees
+
+  const db = await new Promise((resolve, reject) => {
+    // version 2 keys the entries by provider: older entries without one are dropped
+    const req = indexedDB.open(DB_NAME, 2);
+    req.onupgradeneeded = () => {
+      if (req.result.objectStoreNames.contains(STORE)) req.transaction.objectStore(STORE).clear();
+      else req.result.createObjectStore(STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  const withStore = (mode, fn) => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const result = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  return {
+    gridArcSec,
+
+    cellOf(lat, lng) {
+      const row = Math.round(lat / step);
+      const col = Math.round(lng / step);
+      // grid size is part of the key so entries of different grids never mix
+      return { key: `${gridArcSec}|${row}|${col}`, lat: row * step, lng: col * step };
+    },
+
+    async getMany(keys) {
+      const values = new Array(keys.length).fill(null);
+      await withStore('readonly', (store) => {
+        keys.forEach((key, idx) => {
+          const req = store.get(key);
+          req.onsuccess = () => { values[idx] = req.result || null; };
+        });
+      });
+      return values;
+    },
+
+    async putMany(entries) {
+      if (!entries.length) return;
+      await withStore('readwrite', (store) => {
+        entries.forEach((e) => store.put({ elevation: e.elevation, source: e.source, time: Date.now() }, e.key));
+      });
+    },
+
+    async clear() {
+      await withStore('readwrite', (store) => store.clear());
+    },
+
+    async count() {
+      let n = 0;
+      await withStore('readonly', (store) => {
+        const req = store.count();
+        req.onsuccess = () => { n = req.result; };
+      });
+      return n;
+    }
+  };
+}
+
+/**
+ * Grid cell centres covering a bbox, used to pre-warm the cache before going into the field.
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @param {number} gridArcSec - grid size in arc seconds
+ * @param {number} maxPoints - safety limit (default 50000)
+ * @returns {Array<Object>} [{ lat, lng }]
+ */
+export function gridPointsForBbox(bbox, gridArcSec = 1, maxPoints = 50000) {
+  const step = gridArcSec / 3600;
+  // include the cells on the bbox border so every point inside is covered
+  const r0 = Math.floor(bbox[1] / step);
+  const r1 = Math.ceil(bbox[3] / step);
+  const c0 = Math.floor(bbox[0] / step);
+  const c1 = Math.ceil(bbox[2] / step);
+  const rows = r1 - r0 + 1;
+  const cols = c1 - c0 + 1;
+  if (rows * cols > maxPoints) {
+    throw new Error(`Area too large for pre-warming: ${rows * cols} cells (max ${maxPoints}), use a coarser grid`);
+  }
+  const points = [];
+  for (let r = r0; r <= r1; r++) {
+    for (let c = c0; c <= c1; c++) {
+      points.push({ lat: r * step, lng: c * step });
+    }
+  }
+  return points;
+}
\ No newline at end of file
@@ -0,0 +1,288 @@
+// Elevation provider module for Drone Planner
+// Exports:
+// - createOpenElevationProvider(options): Open Elevation API backend (default)
+// - createCustomEndpointProvider(options): any Open-Elevation/OpenTopoData compatible endpoint
+// - createDemProvider(rasters, options): local DEM tiles (SRTM .hgt / single-band GeoTIFF)
+// - createStubElevationProvider(elevation, options): constant or computed terrain, for tests and offline runs
+// - loadDemFile(file) -> raster: reads a .hgt or .tif/.tiff File into a raster object
+// - parseHgt(arrayBuffer, filename) -> raster
+// - sampleRaster(raster, lat, lng) -> number|null: bilinear interpolation
+// - lookupWithFallback(providers, points, onProgress) -> [{ elevation, source, status }]
+//
+// A provider is a plain object { id, name, lookup(points, onProgress) } where lookup resolves to an
+// array aligned with `points` holding a number or null (= no data for this point). Points without
+// data are handed to the next provider of the chain; only when every provider failed the point gets
+// elevation 0 with status 'fallback', so it can be told apart from real sea-level terrain.
+// GeoTIFF support relies on geotiff.js (global `GeoTIFF`, loaded via CDN).
+
+/**
+ * Open Elevation API provider (POST JSON { locations: [{latitude, longitude}] }).
+ * @param {Object} options - { url, batchSize (default 500), timeoutMs (default 12000) }
+ */
+export function createOpenElevationProvider(options = {}) {
+  return createCustomEndpointProvider({
+    id: 'open-elevation',
+    name: 'Open Elevation',
+    url: 'https://api.open-elevation.com/api/v1/lookup',
+    method: 'POST',
+    batchSize: 500, // conservative limit for Open Elevation
+    ...options
+  });
+}
+
+/**
+ * Custom HTTP endpoint provider. Supports the two common request styles:
+ *  - POST: JSON body { locations: [{latitude, longitude}, ...] } (Open Elevation)
+ *  - GET:  ?locations=lat,lng|lat,lng... (OpenTopoData, Open Elevation GET)
+ * Both must answer with { results: [{ elevation }, ...] } in request order.
+ *
+ * @param {Object} options - { url, method ('POST'|'GET'), headers, batchSize (default 100),
+ *                             timeoutMs (default 12000), id, name }
+ */
+export function createCustomEndpointProvider(options = {}) {
+  if (!options.url) throw new Error('Custom elevation provider needs a url');
+  const method = (options.method || 'POST').toUpperCase();
+  const batchSize = options.batchSize || 100;
+  const timeoutMs = options.timeoutMs || 12000;
+
+  return {
+    id: options.id || 'custom',
+    name: options.name || options.url,
+    async lookup(points, onProgress) {
+      const out = new Array(points.length).fill(null);
+      for (let i = 0; i < points.length; i += batchSize) {
+        const batch = points.slice(i, i + batchSize);
+        try {
+          let data;
+          if (method === 'GET') {
+            const sep = options.url.includes('?') ? '&' : '?';
+            const locations = batch.map((p) => `${p.lat},${p.lng}`).join('|');
+            data = await fetchJsonWithTimeout(`${options.url}${sep}locations=${encodeURIComponent(locations)}`, {
+              headers: { 'Accept': 'application/json', ...(options.headers || {}) }
+            }, timeoutMs);
+          } else {
+            data = await fetchJsonWithTimeout(options.url, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...(options.headers || {}) },
+              body: JSON.stringify({ locations: batch.map((p) => ({ latitude: p.lat, longitude: p.lng })) })
+            }, timeoutMs);
+          }
+          if (data && Array.isArray(data.results)) {
+            data.results.forEach((r, j) => {
+              if (j < batch.length && r && typeof r.elevation === 'number' && !isNaN(r.elevation)) out[i + j] = r.elevation;
+            });
+          } else {
+            console.error(`Unexpected results from ${this.name}:`, data);
+          }
+        } catch (err) {
+          console.error(`Batch elevation request to ${this.name} failed:`, err);
+        }
+        if (onProgress) onProgress(Math.min(i + batchSize, points.length), points.length);
+      }
+      return out;
+    }
+  };
+}
+
+/**
+ * Local DEM provider over one or more rasters (e.g. several .hgt tiles).
+ * @param {Array<Object>} rasters - rasters from loadDemFile / parseHgt
+ * @param {Object} options - { id, name }
+ */
+export function createDemProvider(rasters = [], options = {}) {
+  return {
+    id: options.id || 'dem',
+    name: options.name || `Local DEM (${rasters.map((r) => r.name).join(', ')})`,
+    async lookup(points, onProgress) {
+      const out = points.map((p) => {
+        for (const raster of rasters) {
+          const v = sampleRaster(raster, p.lat, p.lng);
+          if (v !== null) return v;
+        }
+        return null;
+      });
+      if (onProgress) onProgress(points.length, points.length);
+      return out;
+    }
+  };
+}
+
+/**
+ * Local stand-in without network or files: a constant elevation or one computed from the position.
+ * Used by the tests and the CLI (src/planner.js runs headless with any provider chain).
+ * @param {number|Function} elevation - meters, or (lat, lng) -> meters | null (null = no data)
+ * @param {Object} options - { id, name }
+ */
+export function createStubElevationProvider(elevation = 0, options = {}) {
+  const valueAt = typeof elevation === 'function' ? elevation : () => elevation;
+  return {
+    id: options.id || 'stub',
+    name: options.name || 'Stub elevation',
+    async lookup(points, onProgress) {
+      const out = points.map((p) => valueAt(p.lat, p.lng));
+      if (onProgress) onProgress(points.length, points.length);
+      return out;
+    }
+  };
+}
+
+/**
+ * Read a DEM file. Supported: SRTM .hgt (tile name gives the position) and single-band GeoTIFF
+ * in geographic coordinates (WGS84 lon/lat).
+ * @param {File} file
+ * @returns {Promise<Object>} raster { name, width, height, x0, y0, xRes, yRes, data, noData }
+ */
+export async function loadDemFile(file) {
+  const name = file.name || 'dem';
+  const ab = await file.arrayBuffer();
+  if (/\.hgt$/i.test(name)) return parseHgt(ab, name);
+  if (/\.tiff?$/i.test(name)) return parseGeoTiff(ab, name);
+  throw new Error(`Unsupported DEM format: ${name}`);
+}
+
+/**
+ * Parse an SRTM .hgt tile (big-endian int16, 1201x1201 = 3" or 3601x3601 = 1").
+ * The SW corner comes from the file name, e.g. N48E011.hgt.
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {string} filename
+ * @returns {Object} raster
+ */
+export function parseHgt(arrayBuffer, filename) {
+  const m = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(filename || '');
+  if (!m) throw new Error(`Cannot derive tile position from file name: ${filename}`);
+  const lat0 = parseInt(m[2], 10) * (m[1].toUpperCase() === 'S' ? -1 : 1);
+  const lng0 = parseInt(m[4], 10) * (m[3].toUpperCase() === 'W' ? -1 : 1);
+
+  const size = Math.round(Math.sqrt(arrayBuffer.byteLength / 2));
+  if (size * size * 2 !== arrayBuffer.byteLength) throw new Error(`Invalid .hgt size: ${arrayBuffer.byteLength} bytes`);
+
+  const view = new DataView(arrayBuffer);
+  const data = new Int16Array(size * size);
+  for (let i = 0; i < data.length; i++) data[i] = view.getInt16(i * 2, false);
+
+  // .hgt samples lie exactly on the grid: first row is the northern edge
+  return {
+    name: filename,
+    width: size,
+    height: size,
+    x0: lng0,
+    y0: lat0 + 1,
+    xRes: 1 / (size - 1),
+    yRes: 1 / (size - 1),
+    data,
+    noData: -32768
+  };
+}
+
+async function parseGeoTiff(arrayBuffer, filename) {
+  if (typeof GeoTIFF === 'undefined') throw new Error('geotiff.js is not loaded');
+  const tiff = await GeoTIFF.fromArrayBuffer(arrayBuffer);
+  const image = await tiff.getImage();
+  const geoKeys = image.getGeoKeys() || {};
+  if (geoKeys.ProjectedCSTypeGeoKey) {
+    throw new Error(`${filename}: projected GeoTIFF, only geographic (WGS84 lon/lat) DEMs are supported`);
+  }
+  const [originX, originY] = image.getOrigin();
+  const [resX, resY] = image.getResolution();
+  const rasters = await image.readRasters({ samples: [0] });
+  const noDataRaw = image.getGDALNoData();
+  // PixelIsArea (default): origin is the corner of the first pixel, sample at its centre
+  const half = geoKeys.GTRasterTypeGeoKey === 2 ? 0 : 0.5;
+
+  return {
+    name: filename,
+    width: image.getWidth(),
+    height: image.getHeight(),
+    x0: originX + half * resX,
+    y0: originY + half * resY,
+    xRes: Math.abs(resX),
+    yRes: Math.abs(resY),
+    data: rasters[0],
+    noData: noDataRaw === null || noDataRaw === undefined ? null : noDataRaw
+  };
+}
+
+/**
+ * Bilinear interpolation of a raster at lat/lng. Returns null outside the raster or if all
+ * neighbouring samples are no-data; no-data neighbours are left out of the weighting.
+ */
+export function sampleRaster(raster, lat, lng) {
+  const fx = (lng - raster.x0) / raster.xRes;
+  const fy = (raster.y0 - lat) / raster.yRes;
+  if (fx < 0 || fy < 0 || fx > raster.width - 1 || fy > raster.height - 1) return null;
+
+  const x0 = Math.max(0, Math.min(Math.floor(fx), raster.width - 2));
+  const y0 = Math.max(0, Math.min(Math.floor(fy), raster.height - 2));
+  const tx = fx - x0;
+  const ty = fy - y0;
+  const x1 = Math.min(x0 + 1, raster.width - 1);
+  const y1 = Math.min(y0 + 1, raster.height - 1);
+
+  const cells = [
+    [x0, y0, (1 - tx) * (1 - ty)],
+    [x1, y0, tx * (1 - ty)],
+    [x0, y1, (1 - tx) * ty],
+    [x1, y1, tx * ty]
+  ];
+  let sum = 0;
+  let weight = 0;
+  cells.forEach(([x, y, w]) => {
+    const v = raster.data[y * raster.width + x];
+    if (v === undefined || v === null || isNaN(v) || v === raster.noData) return;
+    sum += v * w;
+    weight += w;
+  });
+  return weight > 0 ? sum / weight : null;
+}
+
+/**
+ * Resolve elevations through an ordered provider chain.
+ * @param {Array<Object>} providers - ordered list, first provider is asked first
+ * @param {Array<Object>} points - [{ lat, lng }]
+ * @param {Function} onProgress - optional (providerName, processed, total)
+ * @returns {Promise<Array<Object>>} [{ elevation, source, status }] aligned to points, where status is
+ *   'ok' (source = provider id), 'fallback' (no provider had data, elevation 0) or 'invalid' (bad lat/lng)
+ */
+export async function lookupWithFallback(providers, points, onProgress) {
+  const results = points.map((p) => (isValidPoint(p) ? null : { elevation: 0, source: 'none', status: 'invalid' }));
+
+  for (const provider of providers) {
+    const pending = [];
+    results.forEach((r, idx) => { if (r === null) pending.push(idx); });
+    if (pending.length === 0) break;
+
+    let values = [];
+    try {
+      values = await provider.lookup(
+        pending.map((idx) => points[idx]),
+        onProgress ? (processed, total) => onProgress(provider.name, processed, total) : undefined
+      );
+    } catch (err) {
+      console.error(`Elevation provider ${provider.name} failed:`, err);
+    }
+    pending.forEach((idx, j) => {
+      const v = values[j];
+      if (typeof v === 'number' && !isNaN(v)) results[idx] = { elevation: v, source: provider.id, status: 'ok' };
+    });
+  }
+
+  const missing = results.filter((r) => r === null).length;
+  if (missing > 0) console.warn(`No elevation provider had data for ${missing} points, using 0 m (status 'fallback')`);
+  return results.map((r) => r || { elevation: 0, source: 'none', status: 'fallback' });
+}
+
+function isValidPoint(p) {
+  return p && typeof p.lat === 'number' && typeof p.lng === 'number' && !isNaN(p.lat) && !isNaN(p.lng);
+}
+
+async function fetchJsonWithTimeout(url, options, timeoutMs) {
+  const ctrl = new AbortController();
+  const to = setTimeout(() => ctrl.abort('timeout'), timeoutMs);
+  try {
+    const res = await fetch(url, { ...options, signal: ctrl.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } finally {
+    clearTimeout(to);
+  }
+}
\ No newline at end of file
@@ -1,11 +1,56 @@
 // Elevation module for Drone Planner
 // Exports:
-// - fetchElevationsBatch(points): fetch elevations from Open Elevation API (returns array of elevations aligned to input points)
+// - fetchElevationsBatch(points): resolve elevations through the configured provider chain
+//   (returns [{elevation, source, status}] aligned to input points)
+// - setElevationProviders(providers) / getElevationProviders(): configure the ordered provider chain
+// - setElevationCache(cache) / getElevationCache(): plug in the persistent cache from src/elevation-cache.js
+// - prewarmElevationCache(bbox): fill the cache for every grid cell of a bbox
+// - assembleElevations(photoPoints, strips, height, lookup) -> { photoPoints, strips, total, fallback }:
+//   elevation & absoluteAltitude for photo points and strip vertices, without touching the app
 // - addElevationData(): collects points from global allPhotoPoints and layerStrips, fetches elevations and writes back elevation & absoluteAltitude
-// This module deliberately reads some globals (allPhotoPoints, filteredPhotoPoints, layerStrips, heightInput)
-// so it can be integrated incrementally into the app without a full refactor.
-// TODO: in a future cleanup, pass dependencies explicitly instead of relying on globals.
+// addElevationData is the app adapter of assembleElevations: it deliberately reads some globals
+// (allPhotoPoints, layerStrips, heightInput, L). Headless callers (src/planner.js) use assembleElevations
+// with their own lookup, e.g. lookupWithFallback over a stub or DEM provider.
 
+import { createOpenElevationProvider, lookupWithFallback } from './elevation-providers.js';
+import { gridPointsForBbox } from './elevation-cache.js';
+
+// Ordered provider chain; Open Elevation only until the app configures local DEMs / custom endpoints
+let elevationProviders = [createOpenElevationProvider()];
+
+/**
+ * Replace the ordered elevation provider chain (see src/elevation-providers.js).
+ * @param {Array<Object>} providers
+ */
+export function setElevationProviders(providers) {
+  elevationProviders = Array.isArray(providers) && providers.length > 0 ? providers : [createOpenElevationProvider()];
+}
+
+export function getElevationProviders() {
+  return elevationProviders.slice();
+}
+
+// Optional persistent cache sitting in front of the provider chain (null = always ask providers)
+let elevationCache = null;
+
+/**
+ * Use a cache (from openElevationCache) for all following lookups; pass null to disable it.
+ * @param {Object|null} cache
+ */
+export function setElevationCache(cache) {
+  elevationCache = cache || null;
+}
+
+export function getElevationCache() {
+  return elevationCache;
+}
+
+/**
+ * Fetch elevations for points through the provider chain.
+ * @param {Array<Object>} points - [{ lat, lng }]
+ * @returns {Promise<Array<Object>>} [{ elevation, source, status }] aligned to points;
+ *   status 'fallback' / 'invalid' means elevation 0 is a placeholder, not terrain.
+ */
 export async function fetchElevationsBatch(points) {
   if (!points || points.length === 0) return [];
 
@@ -26,188 +71,203 @@ export async function fetchElevationsBatch(points) {
     loadingDiv.style.display = 'block';
   }
 
-  const TIMEOUT_MS = 12000; // per-batch timeout (12s)
-  const ENDPOINT = 'https://api.open-elevation.com/api/v1/lookup';
-
-  const fetchJsonWithTimeout = async (url, options, timeoutMs) => {
-    const ctrl = new AbortController();
-    const to = setTimeout(() => ctrl.abort('timeout'), timeoutMs);
-    try {
-      const res = await fetch(url, { ...options, signal: ctrl.signal });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      return await res.json();
-    } finally {
-      clearTimeout(to);
-    }
-  };
-
   try {
-    // Filter invalid points (must be numeric lat/lng)
-    const validPoints = points.filter(
-      (p) => typeof p.lat === 'number' && typeof p.lng === 'number' && !isNaN(p.lat) && !isNaN(p.lng)
-    );
-    if (validPoints.length !== points.length) {
-      console.warn('Some invalid points were filtered out:', points.length - validPoints.length);
+    let results;
+    if (elevationCache) {
+      results = (await lookupCached(points, loadingDiv)).results;
+    } else {
+      results = await lookupWithFallback(elevationProviders, points, (providerName, processed, total) => {
+        const progress = Math.round((processed / total) * 100);
+        loadingDiv.textContent = `Loading elevation data (${providerName})... ${processed}/${total} (${progress}%)`;
+      });
     }
+    return results;
+  } catch (error) {
+    console.error('Error fetching elevations:', error);
+    // Fallback: zeros for each input point, flagged as such
+    return points.map(() => ({ elevation: 0, source: 'none', status: 'fallback' }));
+  } finally {
+    loadingDiv.style.display = 'none';
+  }
+}
 
-    const batchSize = 500; // conservative limit for Open Elevation
-    const allElevations = [];
-    const total = validPoints.length;
-
-    for (let i = 0; i < total; i += batchSize) {
-      const batch = validPoints.slice(i, i + batchSize);
-      const locations = batch.map((p) => ({ latitude: p.lat, longitude: p.lng }));
-
-      try {
-        const data = await fetchJsonWithTimeout(
-          ENDPOINT,
-          {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Accept': 'application/json'
-            },
-            body: JSON.stringify({ locations })
-          },
-          TIMEOUT_MS
-        );
-
-        if (data && Array.isArray(data.results)) {
-          allElevations.push(
-            ...data.results.map((r) =>
-              (typeof r.elevation === 'number' && !isNaN(r.elevation)) ? r.elevation : 0
-            )
-          );
-        } else {
-          console.error('Unexpected results from Open Elevation:', data);
-          allElevations.push(...new Array(batch.length).fill(0));
-        }
-      } catch (err) {
-        console.error('Batch elevation request failed, using zeros for this batch:', err);
-        allElevations.push(...new Array(batch.length).fill(0));
-      }
+/**
+ * Fill the cache for all grid cells of a bbox (e.g. the survey polygon) so the plan can be
+ * recalculated without network access in the field.
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Promise<Object>} { cells, hits, misses, fallback }
+ */
+export async function prewarmElevationCache(bbox) {
+  if (!elevationCache) throw new Error('Elevation cache is not enabled');
+  const points = gridPointsForBbox(bbox, elevationCache.gridArcSec);
+  const results = await fetchElevationsBatch(points);
+  const hits = results.filter((r) => r.cached).length;
+  const fallback = results.filter((r) => r.status !== 'ok').length;
+  return { cells: points.length, hits, misses: points.length - hits, fallback };
+}
 
-      if (loadingDiv) {
-        const processed = Math.min(i + batchSize, total);
-        const progress = Math.round((processed / total) * 100);
-        loadingDiv.textContent = `Loading elevation data... ${processed}/${total} (${progress}%)`;
-      }
+/**
+ * Resolve points through the cache: one entry per grid cell and provider. The chain is walked in
+ * priority order; for each provider its cached cells are used first, its misses are looked up at the
+ * cell centre and stored (real elevations only). So a provider added later (e.g. a local DEM in front
+ * of Open Elevation) is never hidden by values cached from a lower-priority provider.
+ */
+async function lookupCached(points, loadingDiv) {
+  const isValid = (p) => p && typeof p.lat === 'number' && typeof p.lng === 'number' && !isNaN(p.lat) && !isNaN(p.lng);
+  const cells = points.map((p) => (isValid(p) ? elevationCache.cellOf(p.lat, p.lng) : null));
+  const unique = new Map();
+  cells.forEach((c) => { if (c && !unique.has(c.key)) unique.set(c.key, c); });
+
+  const byKey = new Map();
+  let hits = 0;
+  for (const provider of elevationProviders) {
+    const pending = [...unique.values()].filter((c) => !byKey.has(c.key));
+    if (pending.length === 0) break;
+    const entryKeys = pending.map((c) => cacheKey(provider, c));
+
+    let cached = new Array(pending.length).fill(null);
+    try {
+      cached = await elevationCache.getMany(entryKeys);
+    } catch (err) {
+      console.warn('Elevation cache read failed, querying providers:', err);
     }
+    const missing = [];
+    pending.forEach((c, i) => {
+      if (cached[i]) {
+        byKey.set(c.key, { elevation: cached[i].elevation, source: cached[i].source, status: 'ok', cached: true });
+        hits++;
+      } else {
+        missing.push(i);
+      }
+    });
+    const cacheText = `cache: ${hits} hits, ${unique.size - hits} misses`;
+    loadingDiv.textContent = `Loading elevation data (${provider.name})... ${cacheText}`;
+    if (missing.length === 0) continue;
 
-    if (loadingDiv) loadingDiv.style.display = 'none';
-
-    // Align with original input order: if invalid points were filtered, insert zeros
-    if (validPoints.length !== points.length) {
-      let elevationIdx = 0;
-      const elevations = points.map((pt) => {
-        if (
-          typeof pt.lat === 'number' && typeof pt.lng === 'number' &&
-          !isNaN(pt.lat) && !isNaN(pt.lng)
-        ) {
-          return allElevations[elevationIdx++];
-        } else {
-          return 0;
-        }
+    let values = [];
+    try {
+      values = await provider.lookup(missing.map((i) => ({ lat: pending[i].lat, lng: pending[i].lng })), (processed, total) => {
+        const progress = Math.round((processed / total) * 100);
+        loadingDiv.textContent = `Loading elevation data (${provider.name})... ${processed}/${total} (${progress}%) – ${cacheText}`;
       });
-      console.log('Final elevations array (aligned):', elevations);
-      return elevations;
-    } else {
-      console.log('Final elevations array:', allElevations);
-      return allElevations;
+    } catch (err) {
+      console.error(`Elevation provider ${provider.name} failed:`, err);
+    }
+    const found = [];
+    missing.forEach((i, j) => {
+      const v = values[j];
+      if (typeof v !== 'number' || isNaN(v)) return;
+      byKey.set(pending[i].key, { elevation: v, source: provider.id, status: 'ok' });
+      found.push({ key: entryKeys[i], elevation: v, source: provider.id });
+    });
+    try {
+      await elevationCache.putMany(found);
+    } catch (err) {
+      console.warn('Elevation cache write failed:', err);
     }
-  } catch (error) {
-    console.error('Error fetching elevations:', error);
-    if (loadingDiv) loadingDiv.style.display = 'none';
-    // Fallback: zeros for each input point
-    return new Array(points.length).fill(0);
   }
+
+  const results = cells.map((c) => (c
+    ? byKey.get(c.key) || { elevation: 0, source: 'none', status: 'fallback' }
+    : { elevation: 0, source: 'none', status: 'invalid' }));
+  return { results, hits, misses: unique.size - hits };
+}
+
+// Cache entries are kept per provider (name, e.g. the DEM tiles or endpoint URL) and grid cell
+function cacheKey(provider, cell) {
+  return `${provider.name}|${cell.key}`;
+}
+
+/**
+ * Give photo points and strip vertices their terrain elevation and absolute altitude (terrain +
+ * flight height) in one batched lookup: photo points first, then the strip vertices.
+ * @param {Array<Object>} photoPoints - [{ lat, lng, ... }]
+ * @param {Array<Object>} strips - [{ coordinates: [[lng,lat], ...], ... }]
+ * @param {number} height - flight height above ground (m)
+ * @param {Function} lookup - (points) -> Promise<[{ elevation, source, status }]> (default fetchElevationsBatch)
+ * @returns {Promise<Object>} {
+ *     photoPoints: copies with elevation, absoluteAltitude, elevationSource, elevationStatus,
+ *     strips: copies with elevations: [{ lat, lng, elevation, absoluteAltitude, elevationSource, elevationStatus }],
+ *     total, fallback: number of looked-up points and of points without real elevation
+ *   }
+ */
+export async function assembleElevations(photoPoints = [], strips = [], height = 0, lookup = fetchElevationsBatch) {
+  const flightHeight = parseFloat(height) || 0;
+  const pointsToFetch = photoPoints.map((pt) => ({ lat: pt.lat, lng: pt.lng }));
+  strips.forEach((strip) => (strip.coordinates || []).forEach((c) => pointsToFetch.push({ lat: c[1], lng: c[0] })));
+  if (pointsToFetch.length === 0) return { photoPoints: [], strips: strips.map((strip) => ({ ...strip, elevations: [] })), total: 0, fallback: 0 };
+
+  const elevations = await lookup(pointsToFetch);
+  const fields = (idx) => {
+    const result = elevations[idx] || { elevation: 0, source: 'none', status: 'fallback' };
+    return {
+      elevation: result.elevation,
+      absoluteAltitude: result.elevation + flightHeight,
+      elevationSource: result.source,
+      elevationStatus: result.status
+    };
+  };
+
+  let next = photoPoints.length; // strip vertices follow the photos
+  const assembledStrips = strips.map((strip) => ({
+    ...strip,
+    elevations: (strip.coordinates || []).map((c) => ({ lat: c[1], lng: c[0], ...fields(next++) }))
+  }));
+  return {
+    photoPoints: photoPoints.map((pt, idx) => ({ ...pt, ...fields(idx) })),
+    strips: assembledStrips,
+    total: pointsToFetch.length,
+    fallback: pointsToFetch.filter((p, idx) => !elevations[idx] || elevations[idx].status !== 'ok').length
+  };
 }
 
 /**
  * Collects points from the global `allPhotoPoints` array and the `layerStrips` Leaflet layer group,
- * fetches elevations with fetchElevationsBatch and applies elevation / absoluteAltitude fields.
+ * fetches elevations with fetchElevationsBatch and applies elevation / absoluteAltitude fields
+ * (see assembleElevations).
  *
  * Note: This function relies on these globals being present:
- *  - allPhotoPoints (Array)
- *  - filteredPhotoPoints (Array)
+ *  - allPhotoPoints (Array; filteredPhotoPoints holds the same objects and is updated with them)
  *  - layerStrips (Leaflet LayerGroup)
  *  - heightInput (DOM element with .value)
  *
  * The function populates window.stripElevations for KML export.
+ * Every point also gets elevationSource / elevationStatus from the provider chain.
+ *
+ * @returns {Promise<Object>} { total, fallback } - number of points and of points without real elevation
  */
 export async function addElevationData() {
   // Ensure expected globals exist
   if (typeof allPhotoPoints === 'undefined' || !Array.isArray(allPhotoPoints) || allPhotoPoints.length === 0) {
     console.warn('addElevationData: no photo points to process.');
-    return;
+    return { total: 0, fallback: 0 };
   }
 
-  // Collect points to fetch (photo points first, then strip vertices)
-  const pointsToFetch = [];
-
-  allPhotoPoints.forEach((pt, idx) => {
-    pointsToFetch.push({ lat: pt.lat, lng: pt.lng, type: 'photo', index: idx });
-  });
-
+  const layers = [];
   if (typeof layerStrips !== 'undefined') {
     layerStrips.eachLayer((layer) => {
-      if (layer instanceof L.Polyline) {
-        const latlngs = layer.getLatLngs();
-        latlngs.forEach((ll, idx) => {
-          pointsToFetch.push({ lat: ll.lat, lng: ll.lng, type: 'strip', layerId: L.stamp(layer), index: idx });
-        });
-      }
+      if (layer instanceof L.Polyline && !layer.options.isRoute) layers.push(layer); // the flight route line is no strip
     });
   }
-
-  console.log('Points to fetch elevation for:', pointsToFetch);
-
-  const elevations = await fetchElevationsBatch(pointsToFetch);
-  console.log('Elevations returned:', elevations);
-
-  // Apply elevations back to photo points
   const flightHeight = (typeof heightInput !== 'undefined') ? (parseFloat(heightInput.value) || 0) : 0;
 
+  const { photoPoints, strips, total, fallback } = await assembleElevations(
+    allPhotoPoints,
+    layers.map((layer) => ({ coordinates: layer.getLatLngs().map((ll) => [ll.lng, ll.lat]) })),
+    flightHeight
+  );
+
+  // Apply elevations back to the photo points (in place: markers and the filter keep their objects)
   allPhotoPoints.forEach((pt, idx) => {
-    const elevation = elevations[idx] || 0;
-    pt.elevation = elevation;
-    pt.absoluteAltitude = elevation + flightHeight;
-    console.log(`Photo point ${idx}: elevation=${elevation}, flightHeight=${flightHeight}, absoluteAltitude=${pt.absoluteAltitude}`);
+    const { elevation, absoluteAltitude, elevationSource, elevationStatus } = photoPoints[idx];
+    Object.assign(pt, { elevation, absoluteAltitude, elevationSource, elevationStatus });
   });
 
-  // Update filteredPhotoPoints if present
-  if (typeof filteredPhotoPoints !== 'undefined' && Array.isArray(filteredPhotoPoints) && filteredPhotoPoints.length > 0) {
-    filteredPhotoPoints.forEach((pt) => {
-      const originalPoint = allPhotoPoints.find((p) => p.lat === pt.lat && p.lng === pt.lng);
-      if (originalPoint) {
-        pt.elevation = originalPoint.elevation;
-        pt.absoluteAltitude = originalPoint.absoluteAltitude;
-      }
-    });
-  }
-
   // Store strip elevations for KML export
   window.stripElevations = {};
-  let elevationIndex = allPhotoPoints.length; // start after photos
+  layers.forEach((layer, idx) => {
+    window.stripElevations[L.stamp(layer)] = strips[idx].elevations;
+  });
 
-  if (typeof layerStrips !== 'undefined') {
-    layerStrips.eachLayer((layer) => {
-      if (layer instanceof L.Polyline) {
-        const layerId = L.stamp(layer);
-        const latlngs = layer.getLatLngs();
-        const stripPoints = latlngs.map((ll, idx) => {
-          const elevation = elevations[elevationIndex + idx] || 0;
-          return {
-            lat: ll.lat,
-            lng: ll.lng,
-            elevation: elevation,
-            absoluteAltitude: elevation + flightHeight
-          };
-        });
-        window.stripElevations[layerId] = stripPoints;
-        console.log(`Strip ${layerId} points with elevation:`, stripPoints);
-        elevationIndex += latlngs.length;
-      }
-    });
-  }
+  return { total, fallback };
 }
\ No newline at end of file
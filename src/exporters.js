@@ -0,0 +1,376 @@
+// Exporter module for Drone Planner
+// Exports:
+// - registerExporter(exporter): add an exporter (an exporter with the same id is replaced)
+// - getExporters() -> [exporter]: all exporters in registration order
+// - getExporter(id) -> exporter | undefined
+// - runExporter(id, data, options) -> Promise<{ blob, filename }>
+// - downloadExport(result): save the result of runExporter
+// - photoPointsCsv(data, options) -> string
+// - stripsCsv(data, options) -> string
+// - planGeoJson(data) -> GeoJSON FeatureCollection
+// - planGpx(data, options) -> string
+//
+// An exporter is a plain object:
+//   { id, label, extension, mimeType,
+//     filename: base name or (data, options) -> base name,
+//     available(data) -> true | reason (string key, e.g. 'noPoints'),
+//     build(data, options) -> string | Blob | Promise<string | Blob> }
+// The built-in exporters (summary CSV/JSON, photo point CSV, strip CSV, GeoJSON, GPX, KML, DJI WPML KMZ)
+// are registered when the module is loaded; the export tab lists getExporters().
+//
+// Export data, collected by the app from the current plan:
+// {
+//   points: photo points in flight order ({ lat, lng, stripIndex, pointIndex, elevation, absoluteAltitude,
+//           heightAgl, heading, gimbalPitch, pass, routeOrder }; the filtered points when a filter is active),
+//   strips: [{ stripIndex, pass, coordinates: [[lng,lat], ...], elevations: [{ lat, lng, elevation, absoluteAltitude }] | null }],
+//   polygon: GeoJSON geometry | null, route: [[lng,lat], ...] | null, gcps: [gcp],
+//   summaryStats, drone: { pixelSize_um, focalLength_mm, wpml }, height: flight height above ground (m)
+// }
+// Heights are orthometric (see src/crs.js). Only the WPML exporter needs JSZip (global `JSZip`).
+
+import { generateKml, generateWpml, escapeXml } from './kml.js';
+import { isGeographic, projectPoints } from './crs.js';
+
+const registry = [];
+
+/**
+ * @param {Object} exporter - see module header
+ */
+export function registerExporter(exporter) {
+  if (!exporter || !exporter.id || typeof exporter.build !== 'function') {
+    throw new Error('An exporter needs an id and a build function');
+  }
+  const idx = registry.findIndex((e) => e.id === exporter.id);
+  if (idx >= 0) registry[idx] = exporter;
+  else registry.push(exporter);
+}
+
+/**
+ * @returns {Array<Object>} registered exporters in registration order
+ */
+export function getExporters() {
+  return registry.slice();
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getExporter(id) {
+  return registry.find((e) => e.id === id);
+}
+
+/**
+ * Build an export file.
+ * @param {string} id - exporter id
+ * @param {Object} data - export data (see module header)
+ * @param {Object} options - exporter options (e.g. crs / heightMode / geoid for the CSV exporters,
+ *   speed / gimbalPitch / direction / takeoffElevation / geoid for WPML)
+ * @returns {Promise<Object>} { blob, filename }
+ */
+export async function runExporter(id, data, options = {}) {
+  const exporter = getExporter(id);
+  if (!exporter) throw new Error(`Unknown exporter: ${id}`);
+  const availability = exporter.available ? exporter.available(data) : true;
+  if (availability !== true) throw new Error(availability);
+  const content = await exporter.build(data, options);
+  const blob = content instanceof Blob ? content : new Blob([content], { type: exporter.mimeType });
+  const base = typeof exporter.filename === 'function' ? exporter.filename(data, options) : (exporter.filename || `drone-plan-${exporter.id}`);
+  return { blob, filename: `${base}.${exporter.extension}` };
+}
+
+/**
+ * Save an export result through a temporary download link.
+ * @param {Object} result - { blob, filename } from runExporter
+ */
+export function downloadExport(result) {
+  const url = URL.createObjectURL(result.blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = result.filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * One line per photo point:
+ * id, strip, index, lat, lng, [easting, northing,] elevation, absoluteAltitude | ellipsoidalHeight,
+ * heading, gimbalPitch, gsdCm, pass, routeOrder
+ * @param {Object} data - export data
+ * @param {Object} options - { crs, heightMode, geoid } (see projectPoints in src/crs.js; default WGS84, orthometric)
+ * @returns {string}
+ */
+export function photoPointsCsv(data, options = {}) {
+  const points = data.points || [];
+  const crs = crsColumns(points, options);
+  const lines = [['id', 'strip', 'index', 'lat', 'lng'].concat(crs.header,
+    ['heading', 'gimbalPitch', 'gsdCm', 'pass', 'routeOrder']).join(',')];
+  points.forEach((pt, idx) => {
+    lines.push([
+      idx + 1, value(pt.stripIndex), value(pt.pointIndex), pt.lat.toFixed(8), pt.lng.toFixed(8)
+    ].concat(crs.values(idx), [
+      value(pt.heading, 1), value(pt.gimbalPitch), value(gsdCm(pt, data), 2), pt.pass || '', value(pt.routeOrder)
+    ]).join(','));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * One line per strip vertex (start/end, terrain-following strips every sampled vertex):
+ * strip, pass, vertex, lat, lng, [easting, northing,] elevation, absoluteAltitude | ellipsoidalHeight
+ * @param {Object} data - export data
+ * @param {Object} options - see photoPointsCsv
+ * @returns {string}
+ */
+export function stripsCsv(data, options = {}) {
+  const rows = [];
+  (data.strips || []).forEach((strip, stripIdx) => {
+    stripVertices(strip).forEach((v, idx) => rows.push({
+      ...v, strip: isFiniteNumber(strip.stripIndex) ? strip.stripIndex : stripIdx, pass: strip.pass, vertex: idx + 1
+    }));
+  });
+  const crs = crsColumns(rows, options);
+  const lines = [['strip', 'pass', 'vertex', 'lat', 'lng'].concat(crs.header).join(',')];
+  rows.forEach((r, idx) => {
+    lines.push([r.strip, r.pass || '', r.vertex, r.lat.toFixed(8), r.lng.toFixed(8)].concat(crs.values(idx)).join(','));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Plan as one FeatureCollection. properties.role tells the features apart:
+ * 'area' (survey polygon), 'strip' (LineString), 'route' (flight route), 'photo' (Point), 'gcp' (Point).
+ * Coordinates carry the absolute altitude as third value where it is known.
+ * @param {Object} data - export data
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function planGeoJson(data) {
+  const features = [];
+  const feature = (geometry, properties) => features.push({ type: 'Feature', geometry, properties });
+  if (data.polygon) feature(data.polygon, { role: 'area' });
+  (data.strips || []).forEach((strip, idx) => {
+    const coordinates = stripVertices(strip).map((v) => position(v.lng, v.lat, v.absoluteAltitude));
+    feature({ type: 'LineString', coordinates }, {
+      role: 'strip', strip: isFiniteNumber(strip.stripIndex) ? strip.stripIndex : idx, pass: strip.pass || null
+    });
+  });
+  if (data.route && data.route.length > 1) feature({ type: 'LineString', coordinates: data.route }, { role: 'route' });
+  (data.points || []).forEach((pt, idx) => {
+    feature({ type: 'Point', coordinates: position(pt.lng, pt.lat, pt.absoluteAltitude) }, {
+      role: 'photo',
+      id: idx + 1,
+      strip: orNull(pt.stripIndex),
+      index: orNull(pt.pointIndex),
+      elevation: orNull(pt.elevation),
+      absoluteAltitude: orNull(pt.absoluteAltitude),
+      heading: orNull(pt.heading),
+      gimbalPitch: orNull(pt.gimbalPitch),
+      gsdCm: roundOrNull(gsdCm(pt, data), 2),
+      pass: pt.pass || null,
+      routeOrder: orNull(pt.routeOrder)
+    });
+  });
+  (data.gcps || []).forEach((g) => {
+    feature({ type: 'Point', coordinates: position(g.lng, g.lat, g.elevation) }, {
+      role: 'gcp', name: g.name, elevation: orNull(g.elevation), surveyed: !!g.surveyed
+    });
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * GPX 1.1 with one waypoint per photo point (plus the GCPs) and a route through the photo points
+ * in flight order, for flight apps that import GPX routes or waypoints. <ele> is the absolute altitude.
+ * @param {Object} data - export data
+ * @param {Object} options - { name: route name (default 'Drone Flight Plan') }
+ * @returns {string}
+ */
+export function planGpx(data, options = {}) {
+  const name = options.name || 'Drone Flight Plan';
+  const points = data.points || [];
+  const pointName = (idx) => `P${String(idx + 1).padStart(4, '0')}`;
+  const ele = (v) => (isFiniteNumber(v) ? `<ele>${v.toFixed(2)}</ele>` : '');
+  const latLon = (p) => `lat="${p.lat.toFixed(8)}" lon="${p.lng.toFixed(8)}"`;
+
+  const wpts = points.map((pt, idx) => {
+    const desc = `strip ${value(pt.stripIndex)}, photo ${value(pt.pointIndex)}${pt.pass ? `, ${pt.pass}` : ''}`;
+    return `  <wpt ${latLon(pt)}>${ele(pt.absoluteAltitude)}<name>${pointName(idx)}</name><desc>${escapeXml(desc)}</desc><sym>Waypoint</sym></wpt>`;
+  });
+  const gcpWpts = (data.gcps || []).map((g) => `  <wpt ${latLon(g)}>${ele(g.elevation)}<name>${escapeXml(g.name)}</name><type>GCP</type><sym>Flag</sym></wpt>`);
+  const rtepts = points.map((pt, idx) => `    <rtept ${latLon(pt)}>${ele(pt.absoluteAltitude)}<name>${pointName(idx)}</name></rtept>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Drone Planner" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...wpts,
+    ...gcpWpts,
+    '  <rte>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...rtepts,
+    '  </rte>',
+    '</gpx>'
+  ].join('\n');
+}
+
+// Built-in exporters
+const hasPoints = (data) => ((data.points || []).length ? true : 'noPoints');
+const hasSummary = (data) => (data.summaryStats && isFiniteNumber(data.summaryStats.numPhotos) ? true : 'noPoints');
+const crsSuffix = (options) => (options.crs && !isGeographic(options.crs) && options.crs.code ? `-${options.crs.code.replace(':', '')}` : '');
+
+registerExporter({
+  id: 'photos-csv',
+  label: 'Photo points CSV',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  filename: (data, options) => `drone-photo-points${crsSuffix(options)}`,
+  available: hasPoints,
+  build: photoPointsCsv
+});
+
+registerExporter({
+  id: 'strips-csv',
+  label: 'Strips CSV',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  filename: (data, options) => `drone-strips${crsSuffix(options)}`,
+  available: (data) => ((data.strips || []).length ? true : 'noPoints'),
+  build: stripsCsv
+});
+
+registerExporter({
+  id: 'geojson',
+  label: 'GeoJSON',
+  extension: 'geojson',
+  mimeType: 'application/geo+json',
+  filename: 'drone-flight-plan',
+  available: hasPoints,
+  build: (data) => JSON.stringify(planGeoJson(data), null, 2)
+});
+
+registerExporter({
+  id: 'gpx',
+  label: 'GPX (route + waypoints)',
+  extension: 'gpx',
+  mimeType: 'application/gpx+xml',
+  filename: 'drone-flight-plan',
+  available: hasPoints,
+  build: planGpx
+});
+
+registerExporter({
+  id: 'kml',
+  label: 'KML',
+  extension: 'kml',
+  mimeType: 'application/vnd.google-earth.kml+xml',
+  filename: 'drone-flight-plan',
+  available: hasPoints,
+  // generateKml takes strips with altitudes keyed by an id; options.title names the document (e.g. a flight block)
+  build: (data, options = {}) => generateKml(data.points || [], Object.fromEntries((data.strips || [])
+    .map((s, idx) => [idx, s.elevations])
+    .filter(([, elevations]) => elevations)), {
+    title: options.title || 'Drone Flight Plan', description: 'Flight strips and photo points', gcps: data.gcps || []
+  })
+});
+
+registerExporter({
+  id: 'wpml',
+  label: 'DJI Mission (KMZ)',
+  extension: 'kmz',
+  mimeType: 'application/vnd.google-earth.kmz',
+  filename: 'drone-mission',
+  available: (data) => {
+    if (!(data.drone && data.drone.wpml)) return 'wpmlUnsupported';
+    return hasPoints(data);
+  },
+  // nadir photos use options.gimbalPitch, oblique photos keep the pitch of their pass; heights are
+  // relative to options.takeoffElevation, ellipsoidal heights only come with a geoid model (options.geoid)
+  build: async (data, options) => {
+    if (typeof JSZip === 'undefined') throw new Error('JSZip is not loaded');
+    const ellipsoidal = options.geoid ? projectPoints(data.points, undefined, { heightMode: 'ellipsoidal', geoid: options.geoid }) : [];
+    const points = data.points.map((pt, idx) => ({
+      ...pt,
+      gimbalPitch: pt.gimbalPitch === -90 ? undefined : pt.gimbalPitch,
+      ellipsoidHeight: ellipsoidal[idx] ? ellipsoidal[idx].height : null
+    }));
+    const { templateKml, waylinesWpml } = generateWpml(points, { ...data.drone.wpml, height: data.height, ...options });
+    const zip = new JSZip();
+    zip.file('wpmz/template.kml', templateKml);
+    zip.file('wpmz/waylines.wpml', waylinesWpml);
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/vnd.google-earth.kmz' });
+  }
+});
+
+registerExporter({
+  id: 'summary-csv',
+  label: 'Summary CSV',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  filename: 'drone-plan-summary',
+  available: hasSummary,
+  build: ({ summaryStats: s }) => `Key,Value\nArea (ha),${s.areaHa}\nStrips,${s.numStrips}\nPhotos,${s.numPhotos}\nLength (km),${s.totalLengthKm}\nTime (min),${s.estTimeMin}`
+});
+
+registerExporter({
+  id: 'summary-json',
+  label: 'Summary JSON',
+  extension: 'json',
+  mimeType: 'application/json',
+  filename: 'drone-plan-summary',
+  available: hasSummary,
+  build: ({ summaryStats }) => JSON.stringify(summaryStats, null, 2)
+});
+
+// CSV columns from the crs options: easting/northing for projected systems, then the height column
+function crsColumns(points, options) {
+  const projected = !!options.crs && !isGeographic(options.crs);
+  const heightMode = options.heightMode === 'ellipsoidal' && options.geoid ? 'ellipsoidal' : 'orthometric';
+  const coords = projected || heightMode === 'ellipsoidal'
+    ? projectPoints(points, options.crs || undefined, { heightMode, geoid: options.geoid })
+    : points.map((p) => ({ height: p.absoluteAltitude }));
+  return {
+    header: (projected ? ['easting', 'northing'] : []).concat('elevation', heightMode === 'ellipsoidal' ? 'ellipsoidalHeight' : 'absoluteAltitude'),
+    values: (idx) => (projected ? [value(coords[idx].easting, 3), value(coords[idx].northing, 3)] : [])
+      .concat(value(points[idx].elevation, 2), value(coords[idx].height, 2))
+  };
+}
+
+// Strip vertices with altitudes where known: [{ lat, lng, elevation, absoluteAltitude }]
+function stripVertices(strip) {
+  if (Array.isArray(strip.elevations) && strip.elevations.length) return strip.elevations;
+  return (strip.coordinates || []).map((c) => ({ lat: c[1], lng: c[0] }));
+}
+
+// GSD of a photo from its height above ground (terrain following, altitude minus terrain, else flight height)
+function gsdCm(pt, data) {
+  const drone = data.drone || {};
+  if (!drone.pixelSize_um || !drone.focalLength_mm) return null;
+  let height = parseFloat(data.height) || null;
+  if (isFiniteNumber(pt.heightAgl)) height = pt.heightAgl;
+  else if (isFiniteNumber(pt.absoluteAltitude) && isFiniteNumber(pt.elevation)) height = pt.absoluteAltitude - pt.elevation;
+  if (!(height > 0)) return null;
+  return height * drone.pixelSize_um * 1e-6 / (drone.focalLength_mm * 1e-3) * 100;
+}
+
+function position(lng, lat, alt) {
+  return isFiniteNumber(alt) ? [lng, lat, parseFloat(alt.toFixed(2))] : [lng, lat];
+}
+
+function value(v, decimals) {
+  if (!isFiniteNumber(v)) return '';
+  return decimals === undefined ? String(v) : v.toFixed(decimals);
+}
+
+function orNull(v) {
+  return isFiniteNumber(v) ? v : null;
+}
+
+function roundOrNull(v, decimals) {
+  return isFiniteNumber(v) ? parseFloat(v.toFixed(decimals)) : null;
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && isFinite(v);
+}
\ No newline at end of file
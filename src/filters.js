@@ -0,0 +1,174 @@
+// Photo filter module for Drone Planner
+// Exports:
+// - FILTER_MODES: the thinning strategies of thinPhotoPoints
+// - thinPhotoPoints(points, mode, options) -> { keep, before, after }: indices of the photos to keep
+// - filteredSummary(summaryStats, points) -> summaryStats: photo counts (total, per part and pass) of the kept photos
+//
+// Thins the photo points of a plan. Photos are grouped by scan line (partIndex, pass, stripIndex) in
+// one pass and ordered by pointIndex; photos without a strip (stripIndex null) are always kept.
+// One parameter per mode (options.value); a value <= 0 keeps every photo:
+//   'ends'        - first and last `value` photos of every scan line
+//   'distance'    - trigger by distance: a photo at least `value` m after the last kept one (and the last photo)
+//   'every-k'     - every `value`-th photo of a scan line (and the last photo)
+//   'edge-buffer' - photos within `value` m of the area outline (holes included)
+//   'edge-strips' - the outer `value` scan lines of every part and pass completely, the others only
+//                   their first and last `value` photos (corridor along the outline)
+//   'min-overlap' - removes photos while every grid cell of the area keeps at least `value` images
+//                   (or all it had, if it had fewer); uses the footprints of the coverage module
+// Uses Turf.js (via src/deps.js).
+
+import { turf } from './deps.js';
+import { photoFootprint, coverageGrid } from './coverage.js';
+
+export const FILTER_MODES = ['ends', 'distance', 'every-k', 'edge-buffer', 'edge-strips', 'min-overlap'];
+
+/**
+ * Select the photos to keep.
+ * @param {Array<Object>} points - photo points { lat, lng, stripIndex, pointIndex, partIndex, pass, ... }
+ * @param {string} mode - one of FILTER_MODES
+ * @param {Object} options - {
+ *     value: parameter of the mode (see above),
+ *     polygon: GeoJSON Polygon or MultiPolygon of the survey area ('edge-buffer', 'min-overlap'),
+ *     drone, footprintOptions: camera and { height, direction } for photoFootprint ('min-overlap'),
+ *     cellSize, maxCells: coverage grid ('min-overlap', as for computeCoverage)
+ *   }
+ * @returns {Object} { keep: [index into points, ascending], before, after }
+ */
+export function thinPhotoPoints(points = [], mode = 'ends', options = {}) {
+  if (!FILTER_MODES.includes(mode)) throw new Error(`Unknown filter mode: ${mode}`);
+  const value = parseFloat(options.value) || 0;
+  const keep = new Set();
+  const lines = [];
+  const lineByKey = new Map();
+  points.forEach((pt, idx) => {
+    if (pt.stripIndex === null || pt.stripIndex === undefined || value <= 0) {
+      keep.add(idx);
+      return;
+    }
+    const key = `${pt.partIndex}|${pt.pass}|${pt.stripIndex}`;
+    let line = lineByKey.get(key);
+    if (!line) {
+      line = { partIndex: pt.partIndex, pass: pt.pass, stripIndex: pt.stripIndex, indices: [] };
+      lineByKey.set(key, line);
+      lines.push(line);
+    }
+    line.indices.push(idx);
+  });
+  lines.forEach((line) => line.indices.sort((a, b) => points[a].pointIndex - points[b].pointIndex));
+
+  const keepEnds = (indices, n) => indices.forEach((idx, rank) => {
+    if (rank < n || rank >= indices.length - n) keep.add(idx);
+  });
+
+  if (mode === 'ends') {
+    lines.forEach((line) => keepEnds(line.indices, Math.round(value)));
+  } else if (mode === 'distance') {
+    lines.forEach(({ indices }) => {
+      let last = null;
+      indices.forEach((idx, rank) => {
+        const pt = points[idx];
+        if (!last || rank === indices.length - 1 || distanceM(last, pt) >= value) {
+          keep.add(idx);
+          last = pt;
+        }
+      });
+    });
+  } else if (mode === 'every-k') {
+    const k = Math.max(1, Math.round(value));
+    lines.forEach(({ indices }) => indices.forEach((idx, rank) => {
+      if (rank % k === 0 || rank === indices.length - 1) keep.add(idx);
+    }));
+  } else if (mode === 'edge-buffer') {
+    const outline = outlineOf(options.polygon);
+    lines.forEach(({ indices }) => indices.forEach((idx) => {
+      const pt = turf.point([points[idx].lng, points[idx].lat]);
+      if (outline.some((ring) => turf.pointToLineDistance(pt, ring, { units: 'meters' }) <= value)) keep.add(idx);
+    }));
+  } else if (mode === 'edge-strips') {
+    const n = Math.round(value);
+    // rank of every scan line within its part and pass
+    const byBlock = new Map();
+    lines.forEach((line) => {
+      const key = `${line.partIndex}|${line.pass}`;
+      if (!byBlock.has(key)) byBlock.set(key, []);
+      byBlock.get(key).push(line);
+    });
+    byBlock.forEach((blockLines) => {
+      blockLines.sort((a, b) => a.stripIndex - b.stripIndex);
+      blockLines.forEach((line, rank) => {
+        if (rank < n || rank >= blockLines.length - n) line.indices.forEach((idx) => keep.add(idx));
+        else keepEnds(line.indices, n);
+      });
+    });
+  } else if (mode === 'min-overlap') {
+    minOverlapKeep(points, lines, Math.round(value), options).forEach((idx) => keep.add(idx));
+  }
+
+  return { keep: [...keep].sort((a, b) => a - b), before: points.length, after: keep.size };
+}
+
+/**
+ * Summary of a plan with the photo counts of the kept photos; everything else is taken over.
+ * @param {Object} summaryStats - of calculateStrips / calculateCorridor
+ * @param {Array<Object>} points - the kept photo points { partIndex, pass }
+ * @returns {Object} copy of summaryStats with numPhotos, parts[].numPhotos, passes[].numPhotos and photosPerPass
+ */
+export function filteredSummary(summaryStats = {}, points = []) {
+  const perPart = new Map();
+  const perPass = new Map();
+  points.forEach((pt) => {
+    perPart.set(pt.partIndex, (perPart.get(pt.partIndex) || 0) + 1);
+    perPass.set(pt.pass, (perPass.get(pt.pass) || 0) + 1);
+  });
+  const summary = { ...summaryStats, numPhotos: points.length };
+  if (summaryStats.parts) summary.parts = summaryStats.parts.map((part) => ({ ...part, numPhotos: perPart.get(part.partIndex) || 0 }));
+  if (summaryStats.passes) summary.passes = summaryStats.passes.map((pass) => ({ ...pass, numPhotos: perPass.get(pass.id) || 0 }));
+  if (summaryStats.photosPerPass) {
+    summary.photosPerPass = Object.fromEntries(Object.keys(summaryStats.photosPerPass).map((id) => [id, perPass.get(id) || 0]));
+  }
+  return summary;
+}
+
+// Greedy removal: a photo goes if every cell it covers still has more than its required count. Every
+// other photo of a line is tried first, then the photos over the best-covered cells, so the removals
+// spread evenly instead of cutting a gap. Photos without a footprint are kept.
+function minOverlapKeep(points, lines, target, options) {
+  if (!options.polygon) throw new Error('The overlap check needs the survey area');
+  const candidates = [];
+  const rankOf = new Map();
+  lines.forEach(({ indices }) => indices.forEach((idx, rank) => {
+    candidates.push(idx);
+    rankOf.set(idx, rank);
+  }));
+  const footprints = candidates.map((idx) => photoFootprint(points[idx], options.drone || {}, options.footprintOptions || {}));
+  const { cells } = coverageGrid(options.polygon, footprints, { cellSize: options.cellSize, maxCells: options.maxCells });
+
+  const count = cells.map((cell) => cell.footprints.length);
+  const need = count.map((c) => Math.min(target, c));
+  const cellsOf = candidates.map(() => []);
+  cells.forEach((cell, c) => cell.footprints.forEach((f) => cellsOf[f].push(c)));
+  const surplus = (f) => cellsOf[f].reduce((min, c) => Math.min(min, count[c] - need[c]), Infinity);
+
+  const order = candidates.map((idx, f) => ({ f, odd: rankOf.get(idx) % 2, surplus: surplus(f) }))
+    .sort((a, b) => (b.odd - a.odd) || (b.surplus - a.surplus));
+  const kept = [];
+  order.forEach(({ f }) => {
+    if (footprints[f] && cellsOf[f].every((c) => count[c] > need[c])) {
+      cellsOf[f].forEach((c) => count[c]--);
+    } else {
+      kept.push(candidates[f]);
+    }
+  });
+  return kept;
+}
+
+// Outer rings and holes of the survey area as LineStrings
+function outlineOf(polygon) {
+  if (!polygon) throw new Error('The edge buffer needs the survey area');
+  const polygons = polygon.type === 'MultiPolygon' ? polygon.coordinates : [polygon.coordinates];
+  return polygons.flatMap((rings) => rings.map((ring) => turf.lineString(ring)));
+}
+
+function distanceM(a, b) {
+  return turf.distance(turf.point([a.lng, a.lat]), turf.point([b.lng, b.lat]), { units: 'meters' });
+}
\ No newline at end of file
@@ -0,0 +1,263 @@
+// Ground control point module for Drone Planner
+// Exports:
+// - GCP_FORMATS: export formats { id: { label, extension } }
+// - suggestGcps(polygonGeoJSON, options) -> [gcp]: perimeter + interior placement inside the area
+// - addGcpElevations(gcps, fetchElevations) -> Promise<[gcp]>: terrain elevation for unsurveyed GCPs
+// - formatGcps(gcps, format) -> string: Pix4D / Metashape / plain CSV text
+// - parseGcpFile(text, options) -> [gcp]: surveyed GCP coordinates from CSV/TXT (WGS84 or easting/northing)
+//
+// GCP object: { name, lat, lng, elevation, elevationSource, surveyed, kind }
+//   elevation: meters (terrain lookup or surveyed height), null if unknown
+//   surveyed: true for imported coordinates (their elevation is never overwritten by a lookup)
+//   kind: 'perimeter' | 'interior' | 'manual' | 'imported'
+// Uses Turf.js (via src/deps.js) and src/crs.js for projected coordinates.
+
+import { turf } from './deps.js';
+import { isGeographic, toWgs84 } from './crs.js';
+
+export const GCP_FORMATS = {
+  pix4d: { label: 'Pix4D (label, lat, lon, alt)', extension: 'txt' },
+  metashape: { label: 'Metashape (#Label, lon, lat, alt)', extension: 'txt' },
+  csv: { label: 'CSV (name, lat, lng, elevation)', extension: 'csv' }
+};
+
+/**
+ * Suggest GCP positions: evenly along the outline of every part (pulled a little inside) plus a
+ * regular interior grid, all inside the area (holes excluded).
+ * @param {Object} polygonGeoJSON - GeoJSON Polygon or MultiPolygon
+ * @param {Object} options - {
+ *     spacing: target distance between GCPs (m, default 150),
+ *     count: target number of GCPs (overrides spacing; the spacing is searched to match it),
+ *     interior: also place interior GCPs (default true),
+ *     inset: distance of perimeter GCPs from the outline (m, default min(10, spacing / 10)),
+ *     prefix: name prefix (default 'GCP'), startNumber: first number (default 1)
+ *   }
+ * @returns {Array<Object>} GCPs (perimeter first), elevation null
+ */
+export function suggestGcps(polygonGeoJSON, options = {}) {
+  if (!polygonGeoJSON || !/^(Multi)?Polygon$/.test(polygonGeoJSON.type)) {
+    throw new Error('suggestGcps expects a GeoJSON Polygon or MultiPolygon');
+  }
+  const count = parseInt(options.count, 10);
+  let positions;
+  if (count > 0) {
+    // fewer GCPs with growing spacing: bisect the spacing (log scale) for the closest count
+    let lo = 1;
+    let hi = Math.max(10, Math.sqrt(turf.area(polygonGeoJSON)) * 4);
+    positions = placeGcps(polygonGeoJSON, hi, options);
+    for (let i = 0; i < 25; i++) {
+      const mid = Math.sqrt(lo * hi);
+      const candidate = placeGcps(polygonGeoJSON, mid, options);
+      if (Math.abs(candidate.length - count) < Math.abs(positions.length - count)) positions = candidate;
+      if (candidate.length === count) break;
+      if (candidate.length > count) lo = mid;
+      else hi = mid;
+    }
+  } else {
+    positions = placeGcps(polygonGeoJSON, parseFloat(options.spacing) || 150, options);
+  }
+
+  const prefix = options.prefix === undefined ? 'GCP' : options.prefix;
+  const start = parseInt(options.startNumber, 10) || 1;
+  return positions.map((p, idx) => ({
+    name: `${prefix}${start + idx}`,
+    lat: p.coord[1],
+    lng: p.coord[0],
+    elevation: null,
+    elevationSource: null,
+    surveyed: false,
+    kind: p.kind
+  }));
+}
+
+/**
+ * Look up the terrain elevation of every GCP that is not surveyed.
+ * @param {Array<Object>} gcps
+ * @param {Function} fetchElevations - async (points[{lat,lng}]) -> [{ elevation, source, status }]
+ *   (same contract as fetchElevationsBatch)
+ * @returns {Promise<Array<Object>>} new GCP objects; failed lookups keep elevation null
+ */
+export async function addGcpElevations(gcps, fetchElevations) {
+  const todo = gcps.filter((g) => !g.surveyed);
+  if (!todo.length) return gcps.slice();
+  const results = await fetchElevations(todo.map((g) => ({ lat: g.lat, lng: g.lng })));
+  const byGcp = new Map(todo.map((g, idx) => [g, results[idx]]));
+  return gcps.map((g) => {
+    const r = byGcp.get(g);
+    if (!r) return g;
+    const ok = r.status === 'ok' && typeof r.elevation === 'number' && isFinite(r.elevation);
+    return { ...g, elevation: ok ? r.elevation : null, elevationSource: ok ? r.source : null };
+  });
+}
+
+/**
+ * GCP file text.
+ * - 'pix4d': one line "label,latitude,longitude,altitude" per GCP, no header
+ * - 'metashape': "#Label,Longitude,Latitude,Altitude" header ('#' = comment for Metashape), then lon before lat
+ * - 'csv': header "name,lat,lng,elevation,source,surveyed"
+ * Missing elevations are written as 0 for Pix4D/Metashape (both require a value) and empty in CSV.
+ * @param {Array<Object>} gcps
+ * @param {string} format - key of GCP_FORMATS
+ * @returns {string}
+ */
+export function formatGcps(gcps = [], format = 'csv') {
+  const lat = (g) => g.lat.toFixed(8);
+  const lng = (g) => g.lng.toFixed(8);
+  const alt = (g, empty) => (isFiniteNumber(g.elevation) ? g.elevation.toFixed(3) : empty);
+  const name = (g) => String(g.name).replace(/[,;\t\r\n]/g, '_');
+  switch (format) {
+    case 'pix4d':
+      return gcps.map((g) => [name(g), lat(g), lng(g), alt(g, '0')].join(',')).join('\n');
+    case 'metashape':
+      return ['#Label,Longitude,Latitude,Altitude']
+        .concat(gcps.map((g) => [name(g), lng(g), lat(g), alt(g, '0')].join(',')))
+        .join('\n');
+    case 'csv':
+      return ['name,lat,lng,elevation,source,surveyed']
+        .concat(gcps.map((g) => [name(g), lat(g), lng(g), alt(g, ''), g.elevationSource || '', g.surveyed ? 1 : 0].join(',')))
+        .join('\n');
+    default:
+      throw new Error(`Unknown GCP format: ${format}`);
+  }
+}
+
+/**
+ * Read surveyed GCPs from CSV/TXT (comma, semicolon, tab or space separated).
+ * With a header (optionally starting with '#') the columns are found by name (name/label/id,
+ * lat/latitude, lon/lng/longitude, alt/z/elevation/height). Projected coordinates need a header with
+ * easting/x and northing/y columns and options.crs; they are converted to WGS84. Without a header the
+ * Pix4D order "label, lat, lon, alt" in WGS84 degrees is assumed; if the second column cannot be a
+ * latitude, lon/lat are swapped.
+ * @param {string} text
+ * @param {Object} options - { crs: coordinate system of easting/northing columns (see src/crs.js) }
+ * @returns {Array<Object>} GCPs with surveyed: true
+ */
+export function parseGcpFile(text, options = {}) {
+  const lines = String(text).split(/\r?\n/).map((l) => l.trim()).filter((l) => l.length > 0);
+  if (!lines.length) throw new Error('GCP file is empty');
+  const delimiter = [',', ';', '\t'].find((d) => lines[0].includes(d)) || /\s+/;
+  const split = (line) => line.split(delimiter).map((c) => c.trim().replace(/^"(.*)"$/, '$1'));
+
+  let cols = { name: 0, lat: 1, lng: 2, alt: 3 };
+  let start = 0;
+  const first = split(lines[0].replace(/^#\s*/, ''));
+  if (first.slice(1).some((c) => c !== '' && isNaN(parseFloat(c)))) {
+    cols = headerColumns(first);
+    start = 1;
+  }
+  const projected = cols.easting !== undefined;
+  if (projected && (!options.crs || isGeographic(options.crs))) {
+    throw new Error('GCP file has easting/northing columns: choose their projected coordinate system first');
+  }
+
+  const gcps = [];
+  lines.slice(start).forEach((line, idx) => {
+    if (line.startsWith('#')) return;
+    const c = split(line);
+    let lat = parseFloat(c[cols.lat]);
+    let lng = parseFloat(c[cols.lng]);
+    if (projected) {
+      const easting = parseFloat(c[cols.easting]);
+      const northing = parseFloat(c[cols.northing]);
+      if (!isFinite(easting) || !isFinite(northing)) throw new Error(`GCP line ${start + idx + 1}: invalid coordinates`);
+      [lng, lat] = toWgs84(options.crs, [easting, northing]);
+    }
+    const alt = cols.alt !== undefined ? parseFloat(c[cols.alt]) : NaN;
+    if (!isFinite(lat) || !isFinite(lng)) throw new Error(`GCP line ${start + idx + 1}: invalid coordinates`);
+    if (start === 0 && Math.abs(lat) > 90 && Math.abs(lng) <= 90) [lat, lng] = [lng, lat];
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error(`GCP line ${start + idx + 1}: coordinates are not WGS84 degrees (projected coordinates?)`);
+    }
+    gcps.push({
+      name: cols.name !== undefined && c[cols.name] ? c[cols.name] : `GCP${gcps.length + 1}`,
+      lat,
+      lng,
+      elevation: isFinite(alt) ? alt : null,
+      elevationSource: isFinite(alt) ? 'surveyed' : null,
+      surveyed: true,
+      kind: 'imported'
+    });
+  });
+  if (!gcps.length) throw new Error('No GCPs found in file');
+  return gcps;
+}
+
+// Column indices from header names
+function headerColumns(header) {
+  const find = (re) => {
+    const idx = header.findIndex((h) => re.test(h.toLowerCase()));
+    return idx < 0 ? undefined : idx;
+  };
+  const cols = {
+    name: find(/^(name|label|id|point|gcp)/),
+    lat: find(/^(lat|latitude)/),
+    lng: find(/^(lon|lng|long|longitude)/),
+    alt: find(/^(alt|elev|height|z$|h$)/)
+  };
+  if (cols.lat !== undefined && cols.lng !== undefined) return cols;
+  // projected coordinates (converted by the caller)
+  const easting = find(/^(x$|east)/);
+  const northing = find(/^(y$|north)/);
+  if (easting === undefined || northing === undefined) {
+    throw new Error('GCP file header needs latitude and longitude or easting and northing columns');
+  }
+  return { name: cols.name, easting, northing, alt: cols.alt };
+}
+
+// Positions for one spacing: [{ coord: [lng,lat], kind }]
+function placeGcps(polygonGeoJSON, spacing, options) {
+  const inset = isNaN(parseFloat(options.inset)) ? Math.min(10, spacing / 10) : parseFloat(options.inset);
+  const interior = options.interior !== false;
+  const area = turf.feature(polygonGeoJSON);
+  const inside = (coord) => turf.booleanPointInPolygon(turf.point(coord), area);
+  const positions = [];
+
+  // Perimeter: walk the (inset) outline of every part
+  const partRings = polygonGeoJSON.type === 'Polygon' ? [polygonGeoJSON.coordinates] : polygonGeoJSON.coordinates;
+  partRings.forEach((rings) => {
+    const outer = insetRing(rings, inset);
+    const line = turf.lineString(outer);
+    const length = turf.length(line, { units: 'kilometers' }) * 1000;
+    const n = Math.max(3, Math.round(length / spacing));
+    for (let i = 0; i < n; i++) {
+      const coord = turf.along(line, (i * length / n) / 1000, { units: 'kilometers' }).geometry.coordinates;
+      if (inside(coord)) positions.push({ coord, kind: 'perimeter' });
+    }
+  });
+
+  // Interior: regular grid, away from the perimeter GCPs and the outline
+  if (interior) {
+    const grid = turf.pointGrid(turf.bbox(area), spacing / 1000, { units: 'kilometers' });
+    const perimeter = positions.map((p) => turf.point(p.coord));
+    grid.features.forEach((pt) => {
+      const coord = pt.geometry.coordinates;
+      if (!inside(coord)) return;
+      const tooClose = perimeter.some((p) => turf.distance(p, pt, { units: 'kilometers' }) * 1000 < spacing * 0.6);
+      if (!tooClose) positions.push({ coord, kind: 'interior' });
+    });
+  }
+  return positions;
+}
+
+// Outer ring moved `inset` meters inwards; the original ring if the part is too small for that
+function insetRing(rings, inset) {
+  if (inset > 0) {
+    try {
+      const shrunk = turf.buffer(turf.polygon(rings), -inset / 1000, { units: 'kilometers' });
+      if (shrunk && shrunk.geometry) {
+        const g = shrunk.geometry;
+        if (g.type === 'Polygon') return g.coordinates[0];
+        // a narrow part may fall apart: use the largest piece
+        const largest = g.coordinates.reduce((a, b) => (turf.area(turf.polygon(b)) > turf.area(turf.polygon(a)) ? b : a));
+        return largest[0];
+      }
+    } catch (err) {
+      // fall through to the original outline
+    }
+  }
+  return rings[0];
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && isFinite(v);
+}
\ No newline at end of file
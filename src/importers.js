@@ -0,0 +1,377 @@
+// Area import module for Drone Planner
+// Exports:
+// - readAreaFiles(files, options) -> Promise<{ features, skipped }>: survey area candidates from
+//   KML, KMZ, GeoJSON, zipped shapefiles or .shp (+ .dbf, .prj, .cpg) files
+// - parseKml(text, sourceName, kind) -> [feature]: polygons (or lines) of the KML placemarks
+// - parseGeoJson(input, sourceName, kind) -> { features, crs, skipped }
+// - readShapefile(shp, dbf, prj, options) -> Promise<{ features, skipped }>
+// - validateAreaGeometry(geometry) -> [issue]: problems that would break the strip calculation
+// - validateLineGeometry(geometry) -> [issue]: problems of a corridor centre line
+// - mergeAreaFeatures(features) -> GeoJSON Polygon | MultiPolygon
+//
+// Feature (one import candidate):
+//   { id, name, source, properties, geometry (WGS84 Polygon/MultiPolygon), areaHa, issues: [issue] }
+//   With kind 'line' (corridor mode, src/corridor.js) the features are the polylines instead:
+//   geometry is a LineString/MultiLineString, lengthKm replaces areaHa.
+// Issue: { code, message, location: [lng, lat] | null }
+//   code: 'not-polygon' | 'not-line' | 'invalid-coordinates' | 'too-few-points' | 'unclosed-ring' |
+//         'self-intersection' | 'zero-area' | 'zero-length'
+// Other geometry types are counted in `skipped`, not returned.
+// Projected data is reprojected to WGS84 with src/crs.js (.prj, GeoJSON "crs" member or options.crs).
+// Uses Turf.js (via src/deps.js), shapefile.js (global `shapefile`) and JSZip (global `JSZip`).
+
+import { turf } from './deps.js';
+import { crsByCode, parsePrj, isGeographic, reprojectGeometry } from './crs.js';
+
+/**
+ * Read all survey area candidates from the selected files. Files of one shapefile (.shp, .dbf,
+ * .prj, .cpg) are matched by their base name.
+ * @param {Array<File>|FileList} files
+ * @param {Object} options - {
+ *     crs: coordinate system of data without .prj / GeoJSON crs (default WGS84),
+ *     kind: 'area' (default) or 'line'
+ *   }
+ * @returns {Promise<Object>} { features, skipped: number of features of another geometry type }
+ */
+export async function readAreaFiles(files, options = {}) {
+  const list = Array.from(files || []);
+  const features = [];
+  let skipped = 0;
+  const add = (result) => {
+    features.push(...result.features);
+    skipped += result.skipped || 0;
+  };
+
+  for (const file of list) {
+    const name = file.name || '';
+    if (/\.kml$/i.test(name)) add({ features: parseKml(await file.text(), name, options.kind) });
+    else if (/\.(geo)?json$/i.test(name)) add(reprojectGeoJson(parseGeoJson(await file.text(), name, options.kind), options));
+    else if (/\.(kmz|zip)$/i.test(name)) add(await readZip(await file.arrayBuffer(), name, options));
+  }
+
+  // Loose shapefile parts
+  const byBase = groupByBaseName(list.map((f) => ({ name: f.name || '', read: (type) => (type === 'text' ? f.text() : f.arrayBuffer()) })));
+  for (const parts of byBase) add(await readShapefileParts(parts, options));
+
+  features.forEach((f, idx) => { f.id = idx; });
+  return { features, skipped };
+}
+
+/**
+ * Polygons of the placemarks of a KML document (Polygon or MultiGeometry of Polygons).
+ * Placemark name and ExtendedData (Data / SimpleData) become the attributes.
+ * @param {string} text - KML
+ * @param {string} sourceName - file name, shown in the feature list
+ * @param {string} kind - 'area' (default) or 'line': the LineStrings of the placemarks instead
+ * @returns {Array<Object>} features
+ */
+export function parseKml(text, sourceName = 'kml', kind = 'area') {
+  const features = [];
+  const placemarks = String(text).match(/<(?:\w+:)?Placemark\b[\s\S]*?<\/(?:\w+:)?Placemark>/g) || [];
+  placemarks.forEach((pm, idx) => {
+    const lines = kind === 'line'
+      ? (pm.match(/<(?:\w+:)?LineString\b[\s\S]*?<\/(?:\w+:)?LineString>/g) || []).map((ls) => kmlCoordinates(tagText(ls, 'coordinates')))
+      : [];
+    const polygons = kind === 'line' ? [] : (pm.match(/<(?:\w+:)?Polygon\b[\s\S]*?<\/(?:\w+:)?Polygon>/g) || []).map((poly) => {
+      const ring = (tag) => (poly.match(new RegExp(`<(?:\\w+:)?${tag}\\b[\\s\\S]*?</(?:\\w+:)?${tag}>`, 'g')) || [])
+        .map((boundary) => kmlCoordinates(tagText(boundary, 'coordinates')));
+      return ring('outerBoundaryIs').concat(ring('innerBoundaryIs'));
+    }).filter((rings) => rings.length > 0);
+    if (!polygons.length && !lines.length) return;
+
+    const properties = {};
+    const name = tagText(pm, 'name');
+    if (name) properties.name = name;
+    const description = tagText(pm, 'description');
+    if (description) properties.description = description;
+    (pm.match(/<(?:\w+:)?Data\s+name="[^"]*"[\s\S]*?<\/(?:\w+:)?Data>/g) || []).forEach((d) => {
+      properties[/name="([^"]*)"/.exec(d)[1]] = tagText(d, 'value');
+    });
+    (pm.match(/<(?:\w+:)?SimpleData\s+name="[^"]*"[\s\S]*?<\/(?:\w+:)?SimpleData>/g) || []).forEach((d) => {
+      properties[/name="([^"]*)"/.exec(d)[1]] = decodeXml(d.replace(/^<[^>]*>|<[^>]*>$/g, '').trim());
+    });
+
+    let geometry;
+    if (lines.length) geometry = lines.length === 1 ? { type: 'LineString', coordinates: lines[0] } : { type: 'MultiLineString', coordinates: lines };
+    else geometry = polygons.length === 1 ? { type: 'Polygon', coordinates: polygons[0] } : { type: 'MultiPolygon', coordinates: polygons };
+    features.push(areaFeature(geometry, properties, sourceName, name || `Placemark ${idx + 1}`));
+  });
+  return features;
+}
+
+/**
+ * Polygon features of a GeoJSON FeatureCollection, Feature or bare geometry. GeometryCollections
+ * are searched for polygons.
+ * @param {string|Object} input - GeoJSON text or object
+ * @param {string} sourceName
+ * @param {string} kind - 'area' (default) or 'line': the LineStrings / MultiLineStrings instead
+ * @returns {Object} { features, crs: EPSG code of a (legacy) "crs" member or null, skipped }
+ */
+export function parseGeoJson(input, sourceName = 'geojson', kind = 'area') {
+  const json = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!json || typeof json !== 'object') throw new Error(`${sourceName}: not a GeoJSON object`);
+  let items;
+  if (json.type === 'FeatureCollection') items = json.features || [];
+  else if (json.type === 'Feature') items = [json];
+  else items = [{ type: 'Feature', properties: {}, geometry: json }];
+
+  const crsName = json.crs && json.crs.properties && json.crs.properties.name;
+  const epsg = crsName ? /EPSG:*(\d+)/i.exec(crsName) : null;
+
+  const features = [];
+  let skipped = 0;
+  items.forEach((item, idx) => {
+    const geometry = (kind === 'line' ? lineGeometry : polygonGeometry)(item && item.geometry);
+    if (!geometry) {
+      skipped++;
+      return;
+    }
+    const properties = { ...(item.properties || {}) };
+    const name = properties.name || properties.Name || properties.NAME || `Feature ${idx + 1}`;
+    features.push(areaFeature(geometry, properties, sourceName, String(name)));
+  });
+  return { features, crs: epsg ? `EPSG:${epsg[1]}` : null, skipped };
+}
+
+/**
+ * Read a shapefile with its attributes and coordinate system.
+ * @param {ArrayBuffer} shp
+ * @param {ArrayBuffer|null} dbf - attributes (optional)
+ * @param {string|null} prj - .prj text (optional; else options.crs, else WGS84)
+ * @param {Object} options - { crs, encoding (from .cpg, default shapefile.js default), sourceName, kind }
+ * @returns {Promise<Object>} { features, skipped }
+ */
+export async function readShapefile(shp, dbf = null, prj = null, options = {}) {
+  if (typeof shapefile === 'undefined') throw new Error('shapefile.js is not loaded');
+  const sourceName = options.sourceName || 'shapefile';
+  const collection = await shapefile.read(shp, dbf || undefined, options.encoding ? { encoding: options.encoding } : undefined);
+  const parsed = parseGeoJson(collection, sourceName, options.kind);
+  const crs = prj ? parsePrj(prj) : fallbackCrs(options);
+  return { features: reprojectFeatures(parsed.features, crs), skipped: parsed.skipped };
+}
+
+/**
+ * Check a survey area. An empty list means the geometry is usable.
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Object>} issues [{ code, message, location }]
+ */
+export function validateAreaGeometry(geometry) {
+  if (!geometry || !/^(Multi)?Polygon$/.test(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return [issue('not-polygon', 'Not a polygon')];
+  }
+  const issues = [];
+  const parts = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  let structureOk = true;
+  parts.forEach((rings, partIdx) => {
+    (rings || []).forEach((ring, ringIdx) => {
+      const where = `${parts.length > 1 ? `part ${partIdx + 1}, ` : ''}${ringIdx === 0 ? 'outer ring' : `hole ${ringIdx}`}`;
+      const bad = (ring || []).find((c) => !Array.isArray(c) || !isFinite(c[0]) || !isFinite(c[1]) || Math.abs(c[0]) > 180 || Math.abs(c[1]) > 90);
+      if (!Array.isArray(ring) || bad) {
+        issues.push(issue('invalid-coordinates', `${where}: coordinates are not longitude/latitude in degrees (projected data without .prj?)`));
+        structureOk = false;
+        return;
+      }
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      const closed = ring.length > 0 && first[0] === last[0] && first[1] === last[1];
+      if (ring.length < (closed ? 4 : 3)) {
+        issues.push(issue('too-few-points', `${where}: a ring needs at least 3 different points`, first || null));
+        structureOk = false;
+      } else if (!closed) {
+        issues.push(issue('unclosed-ring', `${where}: ring is not closed (first and last point differ)`, first));
+        structureOk = false;
+      }
+    });
+  });
+  if (!structureOk) return issues;
+
+  const kinks = turf.kinks(turf.feature(geometry)).features;
+  if (kinks.length) {
+    issues.push(issue('self-intersection', `Self-intersection (${kinks.length} crossing${kinks.length > 1 ? 's' : ''}), e.g. near ${formatLocation(kinks[0].geometry.coordinates)}`, kinks[0].geometry.coordinates));
+  }
+  if (!(turf.area(geometry) > 1)) issues.push(issue('zero-area', 'The area is empty (less than 1 m²)'));
+  return issues;
+}
+
+/**
+ * Check a corridor centre line. An empty list means the geometry is usable.
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Object>} issues [{ code, message, location }]
+ */
+export function validateLineGeometry(geometry) {
+  if (!geometry || !/^(Multi)?LineString$/.test(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return [issue('not-line', 'Not a line')];
+  }
+  const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+  const issues = [];
+  lines.forEach((line, idx) => {
+    const where = lines.length > 1 ? `line ${idx + 1}: ` : '';
+    const bad = (line || []).find((c) => !Array.isArray(c) || !isFinite(c[0]) || !isFinite(c[1]) || Math.abs(c[0]) > 180 || Math.abs(c[1]) > 90);
+    if (!Array.isArray(line) || bad) {
+      issues.push(issue('invalid-coordinates', `${where}coordinates are not longitude/latitude in degrees (projected data without .prj?)`));
+    } else if (line.length < 2) {
+      issues.push(issue('too-few-points', `${where}a line needs at least 2 points`, line[0] || null));
+    } else if (!(turf.length(turf.lineString(line), { units: 'meters' }) > 1)) {
+      issues.push(issue('zero-length', `${where}the line is shorter than 1 m`, line[0]));
+    }
+  });
+  return issues;
+}
+
+/**
+ * One survey area from several features (overlaps dissolved).
+ * @param {Array<Object>} features - import features without issues
+ * @returns {Object} GeoJSON Polygon or MultiPolygon
+ */
+export function mergeAreaFeatures(features) {
+  if (!features.length) throw new Error('No features selected');
+  if (features.length === 1) return features[0].geometry;
+  const merged = turf.union(turf.featureCollection(features.map((f) => turf.feature(f.geometry))));
+  if (!merged) throw new Error('The selected features do not form an area');
+  return merged.geometry;
+}
+
+// KMZ (first .kml) or zipped shapefile(s)
+async function readZip(arrayBuffer, sourceName, options) {
+  if (typeof JSZip === 'undefined') throw new Error('JSZip is not loaded');
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const entries = Object.values(zip.files).filter((e) => !e.dir && !/(^|\/)__MACOSX\//.test(e.name));
+  const features = [];
+  let skipped = 0;
+
+  for (const entry of entries.filter((e) => /\.kml$/i.test(e.name))) {
+    features.push(...parseKml(await entry.async('string'), `${sourceName}/${entry.name}`, options.kind));
+  }
+  for (const entry of entries.filter((e) => /\.(geo)?json$/i.test(e.name))) {
+    const result = reprojectGeoJson(parseGeoJson(await entry.async('string'), `${sourceName}/${entry.name}`, options.kind), options);
+    features.push(...result.features);
+    skipped += result.skipped;
+  }
+  const parts = entries.map((e) => ({ name: e.name, read: (type) => e.async(type === 'text' ? 'string' : 'arraybuffer') }));
+  for (const group of groupByBaseName(parts)) {
+    const result = await readShapefileParts(group, options, `${sourceName}/`);
+    features.push(...result.features);
+    skipped += result.skipped;
+  }
+  return { features, skipped };
+}
+
+// Shapefiles among named parts: [{ shp, dbf, prj, cpg, base }] (only groups with a .shp)
+function groupByBaseName(parts) {
+  const groups = new Map();
+  parts.forEach((p) => {
+    const m = /^(.*)\.(shp|dbf|prj|cpg)$/i.exec(p.name);
+    if (!m) return;
+    const base = m[1].toLowerCase();
+    if (!groups.has(base)) groups.set(base, { base: m[1] });
+    groups.get(base)[m[2].toLowerCase()] = p;
+  });
+  return [...groups.values()].filter((g) => g.shp);
+}
+
+async function readShapefileParts(group, options, prefix = '') {
+  const shp = await group.shp.read('binary');
+  const dbf = group.dbf ? await group.dbf.read('binary') : null;
+  const prj = group.prj ? await group.prj.read('text') : null;
+  const encoding = group.cpg ? (await group.cpg.read('text')).trim() : undefined;
+  const baseName = group.base.split('/').pop();
+  return readShapefile(shp, dbf, prj, { ...options, encoding, sourceName: `${prefix}${baseName}.shp` });
+}
+
+function reprojectGeoJson(parsed, options) {
+  const crs = parsed.crs ? crsByCode(parsed.crs) : fallbackCrs(options);
+  return { features: reprojectFeatures(parsed.features, crs), skipped: parsed.skipped };
+}
+
+function fallbackCrs(options) {
+  if (!options.crs) return null;
+  return typeof options.crs === 'object' ? options.crs : crsByCode(options.crs);
+}
+
+function reprojectFeatures(features, crs) {
+  if (!crs || isGeographic(crs)) return features;
+  return features.map((f) => areaFeature(reprojectGeometry(f.geometry, crs), f.properties, f.source, f.name));
+}
+
+// Polygon/MultiPolygon of a geometry (GeometryCollection: all polygons in it), null if there is none
+function polygonGeometry(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') return geometry;
+  if (geometry.type !== 'GeometryCollection') return null;
+  const polygons = [];
+  (geometry.geometries || []).forEach((g) => {
+    const p = polygonGeometry(g);
+    if (!p) return;
+    if (p.type === 'Polygon') polygons.push(p.coordinates);
+    else polygons.push(...p.coordinates);
+  });
+  if (!polygons.length) return null;
+  return polygons.length === 1 ? { type: 'Polygon', coordinates: polygons[0] } : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+// LineString/MultiLineString of a geometry (GeometryCollection: all lines in it), null if there is none
+function lineGeometry(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') return geometry;
+  if (geometry.type !== 'GeometryCollection') return null;
+  const lines = [];
+  (geometry.geometries || []).forEach((g) => {
+    const l = lineGeometry(g);
+    if (!l) return;
+    if (l.type === 'LineString') lines.push(l.coordinates);
+    else lines.push(...l.coordinates);
+  });
+  if (!lines.length) return null;
+  return lines.length === 1 ? { type: 'LineString', coordinates: lines[0] } : { type: 'MultiLineString', coordinates: lines };
+}
+
+function areaFeature(geometry, properties, source, name) {
+  if (/LineString$/.test(geometry.type)) {
+    const issues = validateLineGeometry(geometry);
+    const lengthKm = issues.length ? null : parseFloat((turf.length(turf.feature(geometry), { units: 'kilometers' })).toFixed(2));
+    return { id: null, name, source, properties, geometry, lengthKm, issues };
+  }
+  const issues = validateAreaGeometry(geometry);
+  let areaHa = null;
+  if (!issues.some((i) => i.code === 'invalid-coordinates' || i.code === 'not-polygon')) {
+    try {
+      areaHa = parseFloat((turf.area(geometry) / 10000).toFixed(2));
+    } catch (err) {
+      areaHa = null;
+    }
+  }
+  return { id: null, name, source, properties, geometry, areaHa, issues };
+}
+
+// "lon,lat[,alt] lon,lat[,alt] ..." -> [[lon, lat], ...] (the height is dropped)
+function kmlCoordinates(text) {
+  return String(text || '').trim().split(/\s+/).filter((t) => t.length > 0).map((tuple) => {
+    const [lng, lat] = tuple.split(',').map(parseFloat);
+    return [lng, lat];
+  });
+}
+
+// Text content of the first <tag> (any namespace prefix), CDATA unwrapped
+function tagText(xml, tag) {
+  const m = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`).exec(xml);
+  if (!m) return '';
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(m[1]);
+  return cdata ? cdata[1].trim() : decodeXml(m[1].trim());
+}
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function issue(code, message, location = null) {
+  return { code, message, location };
+}
+
+function formatLocation(c) {
+  return `${c[1].toFixed(6)}, ${c[0].toFixed(6)}`;
+}
\ No newline at end of file
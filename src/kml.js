@@ -5,6 +5,8 @@
 // - generateKml(pointsToExport, stripElevations, options) -> string
 // - downloadKml(kml, filename)
 // - exportKml(pointsToExport, stripElevations, filename, options)
+// - generateWpml(pointsToExport, options) -> { templateKml, waylinesWpml }
+// - escapeXml(str) -> string: text escaped for XML element content and attribute values
 //
 // This module is written as an ES module so it can be imported with <script type="module">.
 // It is intentionally dependency-free and accepts the data it needs as parameters.
@@ -14,12 +16,17 @@
  *
  * Coordinates are written as "longitude,latitude,altitude".
  * altitudeMode is set to "absolute" so Google Earth interprets the Z coordinate as meters above sea level.
+ * Photo points whose elevationStatus is not 'ok' (no provider had terrain data) get a separate style
+ * and a description, so their altitude is not mistaken for terrain at sea level.
+ * Camera attributes of a photo point (heading, gimbalPitch, pass) are written as ExtendedData.
  *
  * @param {Array<Object>} pointsToExport - Array of photo point objects with {lat, lng, absoluteAltitude, ...}.
  * @param {Object} stripElevations - Map of layerId -> array of {lat,lng,absoluteAltitude}.
  * @param {Object} options - Optional settings:
  *   - title: document title
  *   - description: document description
+ *   - gcps: ground control points [{ name, lat, lng, elevation }] written to a separate "GCPs" folder
+ *     (absolute altitude if the elevation is known, else clamped to ground)
  * @returns {string} KML string
  */
 export function generateKml(pointsToExport = [], stripElevations = {}, options = {}) {
@@ -48,6 +55,26 @@ export function generateKml(pointsToExport = [], stripElevations = {}, options =
       </Icon>
     </IconStyle>
   </Style>
+
+  <Style id="gcpStyle">
+    <IconStyle>
+      <color>ff00a5ff</color>
+      <scale>0.9</scale>
+      <Icon>
+        <href>https://maps.google.com/mapfiles/kml/shapes/triangle.png</href>
+      </Icon>
+    </IconStyle>
+  </Style>
+
+  <Style id="photoNoElevationStyle">
+    <IconStyle>
+      <color>ff00ffff</color>
+      <scale>0.7</scale>
+      <Icon>
+        <href>https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href>
+      </Icon>
+    </IconStyle>
+  </Style>
 `;
 
   // Add strips
@@ -76,10 +103,12 @@ export function generateKml(pointsToExport = [], stripElevations = {}, options =
   // Add photo points
   pointsToExport.forEach((pt, idx) => {
     const alt = (typeof pt.absoluteAltitude === 'number' && !isNaN(pt.absoluteAltitude)) ? pt.absoluteAltitude.toFixed(2) : '0';
+    const noElevation = pt.elevationStatus && pt.elevationStatus !== 'ok';
     kml += `
   <Placemark>
-    <name>Photo ${idx + 1}</name>
-    <styleUrl>#photoStyle</styleUrl>
+    <name>Photo ${idx + 1}</name>${noElevation ? `
+    <description>No terrain elevation (${escapeXml(pt.elevationStatus)}): altitude assumes 0 m terrain</description>` : ''}
+    <styleUrl>#${noElevation ? 'photoNoElevationStyle' : 'photoStyle'}</styleUrl>${photoExtendedData(pt)}
     <Point>
       <altitudeMode>absolute</altitudeMode>
       <extrude>0</extrude>
@@ -89,6 +118,29 @@ export function generateKml(pointsToExport = [], stripElevations = {}, options =
 `;
   });
 
+  // Ground control points
+  const gcps = Array.isArray(options.gcps) ? options.gcps : [];
+  if (gcps.length) {
+    kml += `
+  <Folder>
+    <name>GCPs</name>`;
+    gcps.forEach((g) => {
+      const hasElevation = isFiniteNumber(g.elevation);
+      kml += `
+    <Placemark>
+      <name>${escapeXml(String(g.name))}</name>
+      <styleUrl>#gcpStyle</styleUrl>
+      <Point>
+        <altitudeMode>${hasElevation ? 'absolute' : 'clampToGround'}</altitudeMode>
+        <coordinates>${g.lng},${g.lat},${hasElevation ? g.elevation.toFixed(3) : 0}</coordinates>
+      </Point>
+    </Placemark>`;
+    });
+    kml += `
+  </Folder>
+`;
+  }
+
   kml += `
 </Document>
 </kml>`;
@@ -96,13 +148,29 @@ export function generateKml(pointsToExport = [], stripElevations = {}, options =
   return kml;
 }
 
+// ExtendedData with the camera attributes of a photo point (empty if it has none)
+function photoExtendedData(pt) {
+  const data = [];
+  if (isFiniteNumber(pt.heading)) data.push(['heading', pt.heading.toFixed(1)]);
+  if (isFiniteNumber(pt.gimbalPitch)) data.push(['gimbalPitch', pt.gimbalPitch]);
+  if (pt.pass) data.push(['pass', pt.pass]);
+  if (data.length === 0) return '';
+  return `
+    <ExtendedData>${data.map(([name, value]) => `
+      <Data name="${name}"><value>${escapeXml(String(value))}</value></Data>`).join('')}
+    </ExtendedData>`;
+}
+
 /**
  * Trigger a download of the KML content as a file.
  * @param {string} kml - Full KML string
  * @param {string} filename - Suggested filename (default: drone-flight-plan.kml)
  */
 export function downloadKml(kml, filename = 'drone-flight-plan.kml') {
-  const blob = new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' });
+  downloadBlob(new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' }), filename);
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -125,16 +193,266 @@ export function exportKml(pointsToExport = [], stripElevations = {}, filename =
   downloadKml(kml, filename);
 }
 
+const WPML_NS = 'http://www.dji.com/wpmz/1.0.2';
+
 /**
- * Simple XML escape for element content (not attributes).
+ * Generate the two files of a DJI WPML mission (template.kml + waylines.wpml).
+ *
+ * Every point becomes a waypoint with a take-photo action. Points are flown in the given order.
+ * Heights:
+ *  - if every point has an absoluteAltitude, template.kml uses EGM96 absolute heights and
+ *    waylines.wpml heights relative to the takeoff point (absoluteAltitude - takeoffElevation).
+ *    The terrain elevation of the launch site (options.takeoffElevation) is then required: the first
+ *    photo's terrain is no substitute, it would shift every waypoint by the difference;
+ *  - otherwise both files use options.height relative to the takeoff point.
+ * <wpml:ellipsoidHeight> is only written when every point has an ellipsoidHeight (from a geoid model,
+ * see projectPoints in src/crs.js); without it Pilot 2 derives the value from the EGM96 height.
+ * The heading of a waypoint is pt.heading if set, else the bearing to the next point on the same
+ * strip (previous point for the last one), else options.direction.
+ *
+ * @param {Array<Object>} pointsToExport - [{ lat, lng, stripIndex, absoluteAltitude, ellipsoidHeight, elevation, heading, gimbalPitch }]
+ * @param {Object} options -
+ *   - droneEnumValue, droneSubEnumValue, payloadEnumValue: DJI enums (from DRONE_DATABASE[...].wpml)
+ *   - speed: flight speed m/s (default 10)
+ *   - gimbalPitch: default gimbal pitch in degrees (default -90 = nadir)
+ *   - direction: fallback heading in degrees (0 = north)
+ *   - height: flight height AGL (m), used when absolute altitudes are missing
+ *   - takeoffElevation: orthometric terrain elevation of the takeoff point (required with absolute altitudes)
+ *   - takeOffSecurityHeight: default 20 m
+ *   - finishAction: 'goHome' | 'autoLand' | 'noAction' | 'gotoFirstWaypoint' (default 'goHome')
+ *   - author: written to <wpml:author>
+ * @returns {{ templateKml: string, waylinesWpml: string }}
+ */
+export function generateWpml(pointsToExport = [], options = {}) {
+  if (!Array.isArray(pointsToExport) || pointsToExport.length === 0) {
+    throw new Error('No photo points to export');
+  }
+  if (options.droneEnumValue === undefined || options.droneEnumValue === null) {
+    throw new Error('Missing DJI drone enum value (drone not supported by WPML)');
+  }
+
+  const speed = parseFloat(options.speed) || 10;
+  const defaultPitch = isNaN(parseFloat(options.gimbalPitch)) ? -90 : parseFloat(options.gimbalPitch);
+  const absolute = pointsToExport.every((p) => isFiniteNumber(p.absoluteAltitude));
+  const takeoffElevation = parseFloat(options.takeoffElevation);
+  if (absolute && !isFiniteNumber(takeoffElevation)) {
+    throw new Error('Missing takeoff elevation: the mission heights are relative to the launch site');
+  }
+  const ellipsoidal = absolute && pointsToExport.every((p) => isFiniteNumber(p.ellipsoidHeight));
+  const flightHeight = parseFloat(options.height) || 0;
+  const now = Date.now();
+
+  const waypoints = pointsToExport.map((pt, idx) => ({
+    lat: pt.lat,
+    lng: pt.lng,
+    index: idx,
+    absoluteHeight: absolute ? pt.absoluteAltitude : null,
+    ellipsoidHeight: ellipsoidal ? pt.ellipsoidHeight : null,
+    relativeHeight: absolute ? pt.absoluteAltitude - takeoffElevation : flightHeight,
+    heading: waypointHeading(pointsToExport, idx, options.direction),
+    gimbalPitch: isFiniteNumber(pt.gimbalPitch) ? pt.gimbalPitch : defaultPitch
+  }));
+
+  let distance = 0;
+  for (let i = 1; i < waypoints.length; i++) distance += haversine(waypoints[i - 1], waypoints[i]);
+  const duration = distance / speed;
+
+  const missionConfig = `
+    <wpml:missionConfig>
+      <wpml:flyToWaylineMode>safely</wpml:flyToWaylineMode>
+      <wpml:finishAction>${options.finishAction || 'goHome'}</wpml:finishAction>
+      <wpml:exitOnRCLost>executeLostAction</wpml:exitOnRCLost>
+      <wpml:executeRCLostAction>goBack</wpml:executeRCLostAction>
+      <wpml:takeOffSecurityHeight>${options.takeOffSecurityHeight || 20}</wpml:takeOffSecurityHeight>
+      <wpml:globalTransitionalSpeed>${speed}</wpml:globalTransitionalSpeed>
+      <wpml:droneInfo>
+        <wpml:droneEnumValue>${options.droneEnumValue}</wpml:droneEnumValue>
+        <wpml:droneSubEnumValue>${options.droneSubEnumValue || 0}</wpml:droneSubEnumValue>
+      </wpml:droneInfo>
+      <wpml:payloadInfo>
+        <wpml:payloadEnumValue>${options.payloadEnumValue || 0}</wpml:payloadEnumValue>
+        <wpml:payloadPositionIndex>0</wpml:payloadPositionIndex>
+      </wpml:payloadInfo>
+    </wpml:missionConfig>`;
+
+  // template.kml: editable mission as shown in DJI Pilot 2
+  let templateKml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:wpml="${WPML_NS}">
+  <Document>
+    <wpml:author>${escapeXml(options.author || 'Drone Planner')}</wpml:author>
+    <wpml:createTime>${now}</wpml:createTime>
+    <wpml:updateTime>${now}</wpml:updateTime>${missionConfig}
+    <Folder>
+      <wpml:templateType>waypoint</wpml:templateType>
+      <wpml:templateId>0</wpml:templateId>
+      <wpml:waylineCoordinateSysParam>
+        <wpml:coordinateMode>WGS84</wpml:coordinateMode>
+        <wpml:heightMode>${absolute ? 'EGM96' : 'relativeToStartPoint'}</wpml:heightMode>
+      </wpml:waylineCoordinateSysParam>
+      <wpml:autoFlightSpeed>${speed}</wpml:autoFlightSpeed>
+      <wpml:globalHeight>${absolute ? waypoints[0].absoluteHeight.toFixed(2) : flightHeight}</wpml:globalHeight>
+      <wpml:caliFlightEnable>0</wpml:caliFlightEnable>
+      <wpml:gimbalPitchMode>usePointSetting</wpml:gimbalPitchMode>
+      <wpml:globalWaypointTurnMode>toPointAndStopWithDiscontinuityCurvature</wpml:globalWaypointTurnMode>
+      <wpml:globalUseStraightLine>1</wpml:globalUseStraightLine>
+`;
+  waypoints.forEach((wp) => {
+    const h = absolute ? wp.absoluteHeight : wp.relativeHeight;
+    const ellipsoidHeight = wp.ellipsoidHeight !== null ? `
+        <wpml:ellipsoidHeight>${wp.ellipsoidHeight.toFixed(2)}</wpml:ellipsoidHeight>` : '';
+    templateKml += `      <Placemark>
+        <Point><coordinates>${wp.lng},${wp.lat}</coordinates></Point>
+        <wpml:index>${wp.index}</wpml:index>${ellipsoidHeight}
+        <wpml:height>${h.toFixed(2)}</wpml:height>
+        <wpml:useGlobalHeight>0</wpml:useGlobalHeight>
+        <wpml:useGlobalSpeed>1</wpml:useGlobalSpeed>
+        <wpml:useGlobalHeadingParam>0</wpml:useGlobalHeadingParam>${wpmlHeadingParam(wp.heading)}
+        <wpml:useGlobalTurnParam>1</wpml:useGlobalTurnParam>
+        <wpml:gimbalPitchAngle>${wp.gimbalPitch}</wpml:gimbalPitchAngle>${wpmlActionGroup(wp, waypoints[wp.index - 1])}
+      </Placemark>
+`;
+  });
+  templateKml += `    </Folder>
+  </Document>
+</kml>`;
+
+  // waylines.wpml: executable mission, heights relative to the takeoff point
+  let waylinesWpml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:wpml="${WPML_NS}">
+  <Document>${missionConfig}
+    <Folder>
+      <wpml:templateId>0</wpml:templateId>
+      <wpml:executeHeightMode>relativeToStartPoint</wpml:executeHeightMode>
+      <wpml:waylineId>0</wpml:waylineId>
+      <wpml:distance>${distance.toFixed(1)}</wpml:distance>
+      <wpml:duration>${duration.toFixed(1)}</wpml:duration>
+      <wpml:autoFlightSpeed>${speed}</wpml:autoFlightSpeed>
+`;
+  waypoints.forEach((wp) => {
+    waylinesWpml += `      <Placemark>
+        <Point><coordinates>${wp.lng},${wp.lat}</coordinates></Point>
+        <wpml:index>${wp.index}</wpml:index>
+        <wpml:executeHeight>${wp.relativeHeight.toFixed(2)}</wpml:executeHeight>
+        <wpml:waypointSpeed>${speed}</wpml:waypointSpeed>${wpmlHeadingParam(wp.heading)}
+        <wpml:waypointTurnParam>
+          <wpml:waypointTurnMode>toPointAndStopWithDiscontinuityCurvature</wpml:waypointTurnMode>
+          <wpml:waypointTurnDampingDist>0</wpml:waypointTurnDampingDist>
+        </wpml:waypointTurnParam>
+        <wpml:useStraightLine>1</wpml:useStraightLine>${wpmlActionGroup(wp, waypoints[wp.index - 1])}
+      </Placemark>
+`;
+  });
+  waylinesWpml += `    </Folder>
+  </Document>
+</kml>`;
+
+  return { templateKml, waylinesWpml };
+}
+
+/**
+ * XML escape for element content and attribute values (null / undefined give an empty string).
  * @param {string} str
  * @returns {string}
  */
-function escapeXml(str) {
+export function escapeXml(str) {
   if (str === undefined || str === null) return '';
-  // Properly escape XML special characters for element content
   return String(str)
-    .replace(/&/g, '&')
-    .replace(/</g, '<')
-    .replace(/>/g, '>');
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function wpmlHeadingParam(heading) {
+  return `
+        <wpml:waypointHeadingParam>
+          <wpml:waypointHeadingMode>smoothTransition</wpml:waypointHeadingMode>
+          <wpml:waypointHeadingAngle>${heading.toFixed(1)}</wpml:waypointHeadingAngle>
+          <wpml:waypointPoiPoint>0.000000,0.000000,0.000000</wpml:waypointPoiPoint>
+          <wpml:waypointHeadingAngleEnable>1</wpml:waypointHeadingAngleEnable>
+          <wpml:waypointHeadingPathMode>followBadArc</wpml:waypointHeadingPathMode>
+        </wpml:waypointHeadingParam>`;
+}
+
+// Rotate the gimbal only when the pitch changes, then take a photo on reaching the waypoint
+function wpmlActionGroup(wp, previous) {
+  let actionId = 0;
+  let actions = '';
+  if (!previous || previous.gimbalPitch !== wp.gimbalPitch) {
+    actions += `
+          <wpml:action>
+            <wpml:actionId>${actionId++}</wpml:actionId>
+            <wpml:actionActuatorFunc>gimbalRotate</wpml:actionActuatorFunc>
+            <wpml:actionActuatorFuncParam>
+              <wpml:gimbalHeadingYawBase>north</wpml:gimbalHeadingYawBase>
+              <wpml:gimbalRotateMode>absoluteAngle</wpml:gimbalRotateMode>
+              <wpml:gimbalPitchRotateEnable>1</wpml:gimbalPitchRotateEnable>
+              <wpml:gimbalPitchRotateAngle>${wp.gimbalPitch}</wpml:gimbalPitchRotateAngle>
+              <wpml:gimbalRollRotateEnable>0</wpml:gimbalRollRotateEnable>
+              <wpml:gimbalRollRotateAngle>0</wpml:gimbalRollRotateAngle>
+              <wpml:gimbalYawRotateEnable>0</wpml:gimbalYawRotateEnable>
+              <wpml:gimbalYawRotateAngle>0</wpml:gimbalYawRotateAngle>
+              <wpml:gimbalRotateTimeEnable>0</wpml:gimbalRotateTimeEnable>
+              <wpml:gimbalRotateTime>0</wpml:gimbalRotateTime>
+              <wpml:payloadPositionIndex>0</wpml:payloadPositionIndex>
+            </wpml:actionActuatorFuncParam>
+          </wpml:action>`;
+  }
+  actions += `
+          <wpml:action>
+            <wpml:actionId>${actionId++}</wpml:actionId>
+            <wpml:actionActuatorFunc>takePhoto</wpml:actionActuatorFunc>
+            <wpml:actionActuatorFuncParam>
+              <wpml:fileSuffix>P${wp.index + 1}</wpml:fileSuffix>
+              <wpml:payloadPositionIndex>0</wpml:payloadPositionIndex>
+            </wpml:actionActuatorFuncParam>
+          </wpml:action>`;
+  return `
+        <wpml:actionGroup>
+          <wpml:actionGroupId>${wp.index}</wpml:actionGroupId>
+          <wpml:actionGroupStartIndex>${wp.index}</wpml:actionGroupStartIndex>
+          <wpml:actionGroupEndIndex>${wp.index}</wpml:actionGroupEndIndex>
+          <wpml:actionGroupMode>sequence</wpml:actionGroupMode>
+          <wpml:actionTrigger>
+            <wpml:actionTriggerType>reachPoint</wpml:actionTriggerType>
+          </wpml:actionTrigger>${actions}
+        </wpml:actionGroup>`;
+}
+
+// Heading in DJI range -180..180: explicit heading, else bearing along the strip, else flight direction
+function waypointHeading(points, idx, direction) {
+  const pt = points[idx];
+  let heading = NaN;
+  if (isFiniteNumber(pt.heading)) {
+    heading = pt.heading;
+  } else {
+    const next = points[idx + 1];
+    const prev = points[idx - 1];
+    if (next && next.stripIndex === pt.stripIndex) heading = bearing(pt, next);
+    else if (prev && prev.stripIndex === pt.stripIndex) heading = bearing(prev, pt);
+    else heading = parseFloat(direction) || 0;
+  }
+  heading = ((heading % 360) + 360) % 360;
+  return heading > 180 ? heading - 360 : heading;
+}
+
+function bearing(a, b) {
+  const toRad = Math.PI / 180;
+  const y = Math.sin((b.lng - a.lng) * toRad) * Math.cos(b.lat * toRad);
+  const x = Math.cos(a.lat * toRad) * Math.sin(b.lat * toRad) -
+    Math.sin(a.lat * toRad) * Math.cos(b.lat * toRad) * Math.cos((b.lng - a.lng) * toRad);
+  return Math.atan2(y, x) / toRad;
+}
+
+function haversine(a, b) {
+  const toRad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * toRad;
+  const dLng = (b.lng - a.lng) * toRad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * toRad) * Math.cos(b.lat * toRad) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(h));
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && isFinite(v);
 }
\ No newline at end of file
@@ -2,6 +2,7 @@
 // Exports:
 // - initMap(): initializes the Leaflet map and returns an object with map, drawnItems, layerStrips, layerPhotos
 // - bindUI(state): binds UI controls to the provided state and map objects (minimal bindings)
+// - drawAirspace(layer, zones, conflictZoneIds): airspace zones (src/airspace.js) into a layer group
 //
 // This module assumes Leaflet and Leaflet.draw are loaded globally (via CDN) and Turf.js is available as `turf`.
 
@@ -28,6 +29,36 @@ export function initMap() {
   return { map, drawnItems, layerStrips, layerPhotos, drawControl };
 }
 
+// Zone colours by airspace class / type: prohibited, restricted, danger and protected areas red,
+// control zones magenta, everything else blue
+const AIRSPACE_COLORS = [
+  [/^(P|R|Q|D|PROHIBITED|RESTRICTED|DANGER|NOFLY|NATURE|PROTECTED)/i, '#dc2626'],
+  [/^(CTR|ATZ|RMZ|TMZ|HX)/i, '#c026d3']
+];
+
+/**
+ * Draw airspace zones as filled polygons with a popup (name, class, limits). Zones in conflict with
+ * the plan are drawn with a thicker outline and a stronger fill.
+ * @param {Object} layer - L.layerGroup (cleared first)
+ * @param {Array<Object>} zones - from src/airspace.js
+ * @param {Array<string>} conflictZoneIds - ids of zones with conflicts (optional)
+ */
+export function drawAirspace(layer, zones = [], conflictZoneIds = []) {
+  layer.clearLayers();
+  const conflicts = new Set(conflictZoneIds);
+  zones.forEach((zone) => {
+    const match = AIRSPACE_COLORS.find(([re]) => re.test(zone.class));
+    const color = match ? match[1] : '#2563eb';
+    const conflict = conflicts.has(zone.id);
+    L.geoJSON(zone.geometry, {
+      style: { color, weight: conflict ? 3 : 1, fillOpacity: conflict ? 0.35 : 0.1, dashArray: conflict ? null : '4 4' },
+      interactive: true
+    })
+      .bindPopup(`<b>${escapeHtml(zone.name)}</b><br>${escapeHtml(zone.class)}<br>${escapeHtml(zone.lower.text)} – ${escapeHtml(zone.upper.text)}`)
+      .addTo(layer);
+  });
+}
+
 /**
  * Bind minimal UI to state. This does not replicate all inline app logic,
  * but demonstrates how to wire up events to state objects. The goal is incremental extraction.
@@ -69,4 +100,8 @@ export function bindUI({ mapObjects, uiElements, callbacks }) {
       if (onExportKml) onExportKml();
     });
   }
+}
+
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 }
\ No newline at end of file
@@ -0,0 +1,131 @@
+// Planner module for Drone Planner
+// Exports:
+// - planField(area, drone, options) -> Promise<plan>: strips (or corridor), photo filter, route and
+//   elevations of one survey area, without map or DOM
+// - subsetPlan(result, keep) -> result: a calculateStrips result reduced to the kept photos and the
+//   strips that still have any
+// - resolveHeight(drone, options) -> m: flight height from options.height, else from options.gsd
+//
+// The headless planning core: it chains the same modules the app uses, so the CLI
+// (bin/drone-planner.js) and the tests plan exactly what the app plans. A plan is export data for
+// src/exporters.js plus the planning results:
+//   { points, strips, polygon, route, gcps, summaryStats, drone, height,     // export data
+//     result, filter: { mode, before, after } | null, elevation: { total, fallback } }
+// Elevations come from options.elevationProviders (see src/elevation-providers.js, e.g. a stub or
+// local DEM tiles); without providers every point gets elevation 0 with status 'fallback'.
+// Geometry runs on Turf.js through src/deps.js: under Node call setDependencies first.
+
+import { calculateStrips, heightForGsd } from './strips.js';
+import { calculateCorridor, corridorPolygon } from './corridor.js';
+import { thinPhotoPoints, filteredSummary } from './filters.js';
+import { buildRoute, splitIntoBatteries } from './route.js';
+import { assembleElevations } from './elevation.js';
+import { lookupWithFallback } from './elevation-providers.js';
+import { validateAreaGeometry, validateLineGeometry } from './importers.js';
+
+/**
+ * Plan one survey area.
+ * @param {Object} area - GeoJSON Polygon / MultiPolygon, or the centre line (LineString) with options.corridor
+ * @param {Object} drone - profile (see src/profiles.js): sensorWidth_px, sensorHeight_px, pixelSize_um, focalLength_mm, ...
+ * @param {Object} options - {
+ *     height: flight height above ground (m), or gsd: target GSD (cm/pixel) when height is not given,
+ *     frontlap, sidelap (fractions, default 0.7 / 0.6), direction, pattern, gimbalPitch, fiveDirection,
+ *       multiPartMode, speed: as for calculateStrips,
+ *     corridor: { width, join, numStrips } - corridor mode along the line `area` (src/corridor.js),
+ *     filter: { mode, value, cellSize } - photo thinning (src/filters.js), skipped if value <= 0,
+ *     route: { home, cruiseSpeed, turnSpeed, hoverTimeS, flightTimeMin } as for buildRoute and
+ *       splitIntoBatteries (cruiseSpeed defaults to speed, flightTimeMin to the drone's),
+ *     elevationProviders: ordered provider chain for the terrain elevations (default none)
+ *   }
+ * @returns {Promise<Object>} plan (see module header); points are in flight order with routeOrder
+ */
+export async function planField(area, drone = {}, options = {}) {
+  const height = resolveHeight(drone, options);
+  if (!(height > 0)) throw new Error('Flight height or GSD (with pixel size and focal length) required');
+  const stripOptions = { frontlap: 0.7, sidelap: 0.6, direction: 0, minSegmentLength: 1, ...options, height };
+  const geometry = area && area.type === 'Feature' ? area.geometry : area;
+
+  // the same checks as the app: a broken outline would fail deep inside the strip calculation
+  const issues = options.corridor ? validateLineGeometry(geometry) : validateAreaGeometry(geometry);
+  if (issues.length) throw new Error(`Invalid survey area: ${issues.map((issue) => issue.message).join('; ')}`);
+
+  const result = options.corridor
+    ? calculateCorridor(geometry, drone, { ...stripOptions, ...options.corridor })
+    : calculateStrips(geometry, drone, stripOptions);
+  const polygon = options.corridor
+    ? corridorPolygon(geometry, parseFloat(options.corridor.width) || 50, options.corridor)
+    : geometry;
+
+  let plan = result;
+  let filter = null;
+  const filterOptions = options.filter || {};
+  if ((parseFloat(filterOptions.value) || 0) > 0) {
+    const mode = filterOptions.mode || 'ends';
+    const { keep, before, after } = thinPhotoPoints(result.photoPoints, mode, {
+      value: filterOptions.value,
+      polygon,
+      drone,
+      footprintOptions: stripOptions,
+      cellSize: filterOptions.cellSize
+    });
+    if (!keep.length) throw new Error('The photo filter keeps no photos');
+    plan = subsetPlan(result, keep);
+    filter = { mode, before, after };
+  }
+
+  const routeOptions = { cruiseSpeed: stripOptions.speed, flightTimeMin: drone.flightTimeMin, ...options.route, height };
+  const route = buildRoute(plan, routeOptions);
+  const batteries = splitIntoBatteries(route, routeOptions);
+  const ordered = route.photoOrder.map((idx, order) => ({ ...plan.photoPoints[idx], routeOrder: order }));
+  const strips = plan.stripLines.map((strip) => ({ stripIndex: strip.stripIndex, pass: strip.pass, coordinates: strip.coordinates }));
+
+  const providers = options.elevationProviders || [];
+  const elevations = await assembleElevations(ordered, strips, height, (points) => lookupWithFallback(providers, points));
+
+  const summaryStats = filter ? filteredSummary(result.summaryStats, plan.photoPoints) : { ...result.summaryStats };
+  summaryStats.route = { ...route.stats, batteries };
+  summaryStats.estTimeMin = Math.ceil(route.stats.totalTimeMin);
+
+  return {
+    points: elevations.photoPoints,
+    strips: elevations.strips,
+    polygon,
+    route: route.coordinates,
+    gcps: [],
+    summaryStats,
+    drone,
+    height,
+    result,
+    filter,
+    elevation: { total: elevations.total, fallback: elevations.fallback }
+  };
+}
+
+/**
+ * A plan restricted to some of its photos: the kept photos and the strips that still have any, so
+ * the route skips the emptied strips. Route photoOrder indices of the subset map back via keep.
+ * @param {Object} result - { photoPoints, stripLines, summaryStats } of calculateStrips / calculateCorridor
+ * @param {Array<number>} keep - indices into result.photoPoints
+ * @returns {Object} result with the kept photoPoints and the flown stripLines
+ */
+export function subsetPlan(result, keep) {
+  const photoPoints = keep.map((idx) => result.photoPoints[idx]);
+  const flown = new Set(photoPoints.map((pt) => pt.stripId));
+  return {
+    ...result,
+    photoPoints,
+    stripLines: result.stripLines.filter((strip) => flown.has(strip.id))
+  };
+}
+
+/**
+ * Flight height of a plan: options.height if set, else the height of the target GSD for the camera.
+ * @param {Object} drone - { pixelSize_um, focalLength_mm }
+ * @param {Object} options - { height (m) | gsd (cm/pixel) }
+ * @returns {number} m, NaN if neither is usable
+ */
+export function resolveHeight(drone = {}, options = {}) {
+  const height = parseFloat(options.height);
+  if (height > 0) return height;
+  return heightForGsd(options.gsd, drone);
+}
\ No newline at end of file
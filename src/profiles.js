@@ -0,0 +1,257 @@
+// Drone profile module for Drone Planner
+// Exports:
+// - BUILTIN_PROFILES: the shipped drone/camera profiles
+// - SHUTTER_TYPES: ['mechanical', 'rolling']
+// - PROFILES_FORMAT, PROFILES_VERSION
+// - loadProfiles(storage) -> [profile]: built-in profiles merged with the stored edits (localStorage)
+// - saveProfiles(profiles, storage): store the edits, i.e. everything that differs from the built-ins
+// - normalizeProfile(input) -> profile: validate and coerce one profile (throws on invalid data)
+// - upsertProfile(profiles, profile, previousName) -> [profile]: create, update or rename
+// - cloneProfile(profiles, name) -> [profile]: copy with a free name ("<name> (Kopie)", "... 2", ...)
+// - deleteProfile(profiles, name) -> [profile]
+// - exportProfiles(profiles) -> string: JSON file for sharing
+// - importProfiles(profiles, text) -> { profiles, added, updated }: merge a shared JSON file
+// - matchProfileByModel(profiles, model) -> profile | null: profile whose modelTag occurs in an EXIF model
+//
+// Profile: {
+//   name,                                 // unique, used as the drone select value and in project files
+//   modelTag,                             // part of the EXIF Model string (e.g. 'FC6310R'), may be empty
+//   sensorWidth_px, sensorHeight_px, pixelSize_um, focalLength_mm,
+//   shutterType: 'mechanical' | 'rolling',
+//   maxSpeed_ms,                          // maximum horizontal speed (m/s)
+//   minPhotoInterval_s,                   // shortest interval between two triggers (s)
+//   flightTimeMin,                        // nominal flight time per battery (min)
+//   wpml: { droneEnumValue, droneSubEnumValue, payloadEnumValue } | undefined,  // DJI WPML enums
+//   builtIn: true for shipped profiles (also after editing)
+// }
+// Deleted built-in profiles are remembered so they stay deleted after a reload.
+
+export const SHUTTER_TYPES = ['mechanical', 'rolling'];
+export const PROFILES_FORMAT = 'drone-planner-profiles';
+export const PROFILES_VERSION = 1;
+
+const STORAGE_KEY = 'dronePlannerProfiles';
+
+// Speeds and trigger intervals are manufacturer specs (normal flight mode / timed shot); the wpml enums
+// are needed for DJI Pilot 2 missions, models without them cannot be exported as WPML mission.
+export const BUILTIN_PROFILES = [
+  { name: 'DJI Mini 4 Pro', modelTag: 'FC8482', pixelSize_um: 2.4, focalLength_mm: 6.7, sensorWidth_px: 4032, sensorHeight_px: 2268, shutterType: 'rolling', maxSpeed_ms: 16, minPhotoInterval_s: 2, flightTimeMin: 34 },
+  { name: 'DJI Air 3', modelTag: 'FC8282', pixelSize_um: 2.4, focalLength_mm: 6.7, sensorWidth_px: 4032, sensorHeight_px: 2268, shutterType: 'rolling', maxSpeed_ms: 21, minPhotoInterval_s: 2, flightTimeMin: 46 },
+  { name: 'DJI Mavic 3E', modelTag: 'M3E', pixelSize_um: 3.3, focalLength_mm: 12.3, sensorWidth_px: 5280, sensorHeight_px: 3956, shutterType: 'mechanical', maxSpeed_ms: 15, minPhotoInterval_s: 0.7, flightTimeMin: 45, wpml: { droneEnumValue: 77, droneSubEnumValue: 0, payloadEnumValue: 66 } },
+  { name: 'DJI Mavic 4E', modelTag: 'M4E', pixelSize_um: 3.3, focalLength_mm: 12.3, sensorWidth_px: 5280, sensorHeight_px: 3956, shutterType: 'mechanical', maxSpeed_ms: 15, minPhotoInterval_s: 0.5, flightTimeMin: 49, wpml: { droneEnumValue: 99, droneSubEnumValue: 0, payloadEnumValue: 88 } },
+  { name: 'DJI Mini 3 Pro', modelTag: 'FC3582', pixelSize_um: 2.4, focalLength_mm: 6.7, sensorWidth_px: 4032, sensorHeight_px: 3024, shutterType: 'rolling', maxSpeed_ms: 16, minPhotoInterval_s: 2, flightTimeMin: 34 },
+  { name: 'DJI Matrice 300 RTK', modelTag: 'M300', pixelSize_um: 3.76, focalLength_mm: 35, sensorWidth_px: 5472, sensorHeight_px: 3648, shutterType: 'mechanical', maxSpeed_ms: 17, minPhotoInterval_s: 0.7, flightTimeMin: 55, wpml: { droneEnumValue: 60, droneSubEnumValue: 0, payloadEnumValue: 50 } },
+  { name: 'DJI Phantom 4 RTK', modelTag: 'FC6310R', pixelSize_um: 2.4, focalLength_mm: 8.8, sensorWidth_px: 5472, sensorHeight_px: 3648, shutterType: 'mechanical', maxSpeed_ms: 14, minPhotoInterval_s: 2, flightTimeMin: 30 },
+  { name: 'DJI Matrice 350 RTK', modelTag: 'M350', pixelSize_um: 3.76, focalLength_mm: 35, sensorWidth_px: 5472, sensorHeight_px: 3648, shutterType: 'mechanical', maxSpeed_ms: 17, minPhotoInterval_s: 0.7, flightTimeMin: 55, wpml: { droneEnumValue: 89, droneSubEnumValue: 0, payloadEnumValue: 50 } }
+].map((p) => ({ ...p, builtIn: true }));
+
+const NUMBER_FIELDS = ['sensorWidth_px', 'sensorHeight_px', 'pixelSize_um', 'focalLength_mm', 'maxSpeed_ms', 'minPhotoInterval_s', 'flightTimeMin'];
+const REQUIRED_FIELDS = ['sensorWidth_px', 'sensorHeight_px', 'pixelSize_um', 'focalLength_mm'];
+
+/**
+ * Profiles for the app: the built-ins (minus deleted ones, stored edits replacing them by name)
+ * followed by the user's own profiles. Unreadable storage falls back to the built-ins.
+ * @param {Storage} storage - default localStorage
+ * @returns {Array<Object>}
+ */
+export function loadProfiles(storage = globalThis.localStorage) {
+  let stored = null;
+  try {
+    const text = storage ? storage.getItem(STORAGE_KEY) : null;
+    stored = text ? JSON.parse(text) : null;
+  } catch (err) {
+    console.warn('Stored drone profiles could not be read:', err);
+  }
+  const deleted = new Set(stored && Array.isArray(stored.deleted) ? stored.deleted : []);
+  const edits = [];
+  (stored && Array.isArray(stored.profiles) ? stored.profiles : []).forEach((p) => {
+    try {
+      edits.push(normalizeProfile(p));
+    } catch (err) {
+      console.warn('Skipping invalid stored drone profile:', err.message);
+    }
+  });
+  const byName = new Map(edits.map((p) => [p.name, p]));
+  const profiles = BUILTIN_PROFILES
+    .filter((p) => !deleted.has(p.name))
+    .map((p) => (byName.has(p.name) ? { ...byName.get(p.name), builtIn: true } : { ...p }));
+  edits.forEach((p) => {
+    if (!BUILTIN_PROFILES.some((b) => b.name === p.name)) profiles.push({ ...p, builtIn: false });
+  });
+  return profiles;
+}
+
+/**
+ * Store the profiles. Only new and changed profiles and the names of deleted built-ins are written,
+ * so corrected built-in values of a later app version still reach unchanged profiles.
+ * @param {Array<Object>} profiles
+ * @param {Storage} storage - default localStorage
+ * @returns {boolean} false if the browser refused (e.g. storage disabled)
+ */
+export function saveProfiles(profiles, storage = globalThis.localStorage) {
+  const names = new Set(profiles.map((p) => p.name));
+  const data = {
+    format: PROFILES_FORMAT,
+    version: PROFILES_VERSION,
+    profiles: profiles.filter((p) => !sameAsBuiltIn(p)).map(stripFlags),
+    deleted: BUILTIN_PROFILES.filter((p) => !names.has(p.name)).map((p) => p.name)
+  };
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(data));
+    return true;
+  } catch (err) {
+    console.warn('Saving drone profiles failed:', err);
+    return false;
+  }
+}
+
+/**
+ * Validate one profile: a name and positive sensor size, pixel size and focal length are required;
+ * the other numbers are optional (null if missing). Number fields may be strings (form values).
+ * @param {Object} input
+ * @returns {Object} profile (builtIn flag kept)
+ */
+export function normalizeProfile(input) {
+  if (!input || typeof input !== 'object') throw new Error('Profile must be an object');
+  const name = String(input.name === undefined || input.name === null ? '' : input.name).trim();
+  if (!name) throw new Error('Profile name is missing');
+  const profile = {
+    name,
+    modelTag: String(input.modelTag || '').trim(),
+    shutterType: SHUTTER_TYPES.includes(input.shutterType) ? input.shutterType : 'mechanical'
+  };
+  NUMBER_FIELDS.forEach((field) => {
+    const v = input[field] === '' || input[field] === null || input[field] === undefined ? NaN : Number(input[field]);
+    if (REQUIRED_FIELDS.includes(field) && !(v > 0)) {
+      throw new Error(`Profile "${name}": ${field} must be a positive number`);
+    }
+    profile[field] = v > 0 ? v : null;
+  });
+  profile.sensorWidth_px = Math.round(profile.sensorWidth_px);
+  profile.sensorHeight_px = Math.round(profile.sensorHeight_px);
+  if (input.wpml && typeof input.wpml === 'object') {
+    const { droneEnumValue, droneSubEnumValue, payloadEnumValue } = input.wpml;
+    if ([droneEnumValue, droneSubEnumValue, payloadEnumValue].every((v) => Number.isInteger(v))) {
+      profile.wpml = { droneEnumValue, droneSubEnumValue, payloadEnumValue };
+    }
+  }
+  profile.builtIn = !!input.builtIn;
+  return profile;
+}
+
+/**
+ * Add a profile or replace the one with the same name. With previousName (the profile being edited)
+ * a changed name renames it in place. Fields the input does not carry (e.g. wpml) are kept.
+ * @param {Array<Object>} profiles
+ * @param {Object} input - profile data (see normalizeProfile)
+ * @param {string} previousName - optional
+ * @returns {Array<Object>} new list
+ */
+export function upsertProfile(profiles, input, previousName) {
+  const oldName = previousName && profiles.some((p) => p.name === previousName) ? previousName : null;
+  const previous = profiles.find((p) => p.name === (oldName || input.name));
+  const profile = normalizeProfile({ ...(previous || {}), ...input, builtIn: false });
+  profile.builtIn = BUILTIN_PROFILES.some((b) => b.name === profile.name);
+  if (oldName && oldName !== profile.name && profiles.some((p) => p.name === profile.name)) {
+    throw new Error(`A profile named "${profile.name}" already exists`);
+  }
+  const idx = profiles.findIndex((p) => p.name === (oldName || profile.name));
+  if (idx < 0) return profiles.concat([profile]);
+  return profiles.map((p, i) => (i === idx ? profile : p));
+}
+
+/**
+ * Copy a profile under a free name.
+ * @param {Array<Object>} profiles
+ * @param {string} name
+ * @param {string} suffix - default ' (Kopie)'
+ * @returns {Array<Object>} new list, the copy is last
+ */
+export function cloneProfile(profiles, name, suffix = ' (Kopie)') {
+  const source = profiles.find((p) => p.name === name);
+  if (!source) throw new Error(`Unknown profile: ${name}`);
+  let copyName = `${name}${suffix}`;
+  for (let n = 2; profiles.some((p) => p.name === copyName); n++) copyName = `${name}${suffix} ${n}`;
+  return profiles.concat([{ ...source, name: copyName, builtIn: false }]);
+}
+
+/**
+ * @param {Array<Object>} profiles
+ * @param {string} name
+ * @returns {Array<Object>} new list without the profile
+ */
+export function deleteProfile(profiles, name) {
+  return profiles.filter((p) => p.name !== name);
+}
+
+/**
+ * JSON file with profiles for sharing (all given profiles, builtIn flags dropped).
+ * @param {Array<Object>} profiles
+ * @returns {string}
+ */
+export function exportProfiles(profiles) {
+  return JSON.stringify({
+    format: PROFILES_FORMAT,
+    version: PROFILES_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles: profiles.map(stripFlags)
+  }, null, 2);
+}
+
+/**
+ * Merge a profile file (from exportProfiles, or a plain array of profiles) into the list.
+ * Profiles with a known name replace the existing ones.
+ * @param {Array<Object>} profiles
+ * @param {string|Object} input - JSON text or parsed file
+ * @returns {Object} { profiles: new list, added: [name], updated: [name] }
+ */
+export function importProfiles(profiles, input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  let list = data;
+  if (!Array.isArray(data)) {
+    if (!data || data.format !== PROFILES_FORMAT || !Array.isArray(data.profiles)) {
+      throw new Error('Not a Drone Planner profile file');
+    }
+    if (typeof data.version !== 'number' || data.version > PROFILES_VERSION) {
+      throw new Error(`Unsupported profile file version ${data.version} (this app reads up to ${PROFILES_VERSION})`);
+    }
+    list = data.profiles;
+  }
+  const imported = list.map(normalizeProfile); // all or nothing: one invalid profile rejects the file
+  const added = [];
+  const updated = [];
+  let result = profiles;
+  imported.forEach((p) => {
+    (result.some((q) => q.name === p.name) ? updated : added).push(p.name);
+    result = upsertProfile(result, p);
+  });
+  return { profiles: result, added, updated };
+}
+
+/**
+ * Profile for an EXIF Model string: the one whose modelTag occurs in it, the longest tag winning
+ * (so 'FC6310R' is preferred over a custom 'FC6310').
+ * @param {Array<Object>} profiles
+ * @param {string} model
+ * @returns {Object|null}
+ */
+export function matchProfileByModel(profiles, model) {
+  if (!model) return null;
+  const text = model.toString();
+  let best = null;
+  profiles.forEach((p) => {
+    if (p.modelTag && text.includes(p.modelTag) && (!best || p.modelTag.length > best.modelTag.length)) best = p;
+  });
+  return best;
+}
+
+// Built-in profile without changes
+function sameAsBuiltIn(profile) {
+  const builtIn = BUILTIN_PROFILES.find((b) => b.name === profile.name);
+  return !!builtIn && JSON.stringify(stripFlags(normalizeProfile(builtIn))) === JSON.stringify(stripFlags(normalizeProfile(profile)));
+}
+
+function stripFlags(profile) {
+  const { builtIn, ...rest } = profile;
+  return rest;
+}
\ No newline at end of file
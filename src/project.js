@@ -0,0 +1,226 @@
+// Project module for Drone Planner
+// Exports:
+// - PROJECT_FORMAT, PROJECT_VERSION
+// - serializeProject(state) -> versioned project object (JSON-safe)
+// - parseProject(input) -> state: validates a project (object or JSON string) and migrates old versions
+// - planResultFromProject(plan) -> { photoPoints, stripLines, summaryStats }: planner result of a restored plan
+// - downloadProject(project, filename)
+// - saveAutosave(project) / loadAutosave() / clearAutosave(): localStorage autosave
+//
+// The module only deals with plain data. Collecting the state from the UI / Leaflet layers and
+// restoring it is done by the app (index.html), so the format stays independent of the map library.
+//
+// Project state:
+// {
+//   polygon: GeoJSON geometry | null,
+//   corridorLine: GeoJSON LineString | null,  // centre line in corridor mode (src/corridor.js); polygon is its outline
+//   gcps: [{ name, lat, lng, elevation, elevationSource, surveyed, kind }],  // ground control points (src/gcp.js)
+//   settings: { drone, focalLength, pixelSize, gsd, height, frontlap, sidelap, direction, filterCount, ... },
+//   plan: null | {
+//     strips: [{ id, stripIndex, partIndex, pass, coordinates: [[lng,lat], ...], elevations: [{lat,lng,elevation,absoluteAltitude,...}] | null }],
+//     photoPoints: [{ lat, lng, stripId, stripIndex, pointIndex, elevation, absoluteAltitude, ... }],  // no Leaflet markers
+//     filteredIndices: [index into photoPoints] | null,  // active photo filter
+//     summaryStats: { areaHa, numStrips, numPhotos, totalLengthKm, estTimeMin, ... },
+//     route: [[lng,lat], ...] | null  // flight route line (src/route.js)
+//   }
+// }
+
+export const PROJECT_FORMAT = 'drone-planner-project';
+export const PROJECT_VERSION = 1;
+
+const AUTOSAVE_KEY = 'dronePlannerAutosave';
+
+// Format migrations: MIGRATIONS[v](project) turns a version v project into version v + 1
+const MIGRATIONS = {};
+
+/**
+ * Wrap a project state into the versioned file format. Leaflet objects (e.g. photo point markers)
+ * are dropped.
+ * @param {Object} state - see module header
+ * @returns {Object}
+ */
+export function serializeProject(state = {}) {
+  const plan = state.plan
+    ? {
+      strips: (state.plan.strips || []).map((s) => ({
+        id: s.id ?? null,
+        stripIndex: typeof s.stripIndex === 'number' ? s.stripIndex : null,
+        partIndex: typeof s.partIndex === 'number' ? s.partIndex : null,
+        pass: s.pass || null,
+        coordinates: s.coordinates,
+        elevations: s.elevations || null
+      })),
+      photoPoints: (state.plan.photoPoints || []).map(stripMarker),
+      filteredIndices: Array.isArray(state.plan.filteredIndices) ? state.plan.filteredIndices : null,
+      summaryStats: state.plan.summaryStats || {},
+      route: state.plan.route || null
+    }
+    : null;
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    polygon: state.polygon || null,
+    corridorLine: state.corridorLine || null,
+    gcps: Array.isArray(state.gcps) ? state.gcps : [],
+    settings: { ...(state.settings || {}) },
+    plan
+  };
+}
+
+/**
+ * Validate and migrate a project file.
+ * @param {Object|string} input - parsed JSON or JSON text
+ * @returns {Object} state { savedAt, polygon, corridorLine, gcps, settings, plan }
+ */
+export function parseProject(input) {
+  let project = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error('Not a Drone Planner project file');
+  }
+  if (typeof project.version !== 'number' || project.version > PROJECT_VERSION) {
+    throw new Error(`Unsupported project version ${project.version} (this app reads up to ${PROJECT_VERSION})`);
+  }
+  for (let version = project.version; version < PROJECT_VERSION; version++) {
+    if (!MIGRATIONS[version]) throw new Error(`Unsupported project version ${version}`);
+    project = { ...MIGRATIONS[version](project), version: version + 1 };
+  }
+
+  if (project.polygon && !/^(Multi)?Polygon$/.test(project.polygon.type)) {
+    throw new Error(`Invalid project polygon type: ${project.polygon.type}`);
+  }
+  if (project.corridorLine && project.corridorLine.type !== 'LineString') {
+    throw new Error(`Invalid project corridor line type: ${project.corridorLine.type}`);
+  }
+  if (project.gcps && (!Array.isArray(project.gcps) || project.gcps.some((g) => !isFinite(g.lat) || !isFinite(g.lng)))) {
+    throw new Error('Invalid project GCPs');
+  }
+  const plan = project.plan || null;
+  if (plan) {
+    if (!Array.isArray(plan.strips) || !Array.isArray(plan.photoPoints)) {
+      throw new Error('Invalid project plan: strips and photoPoints must be arrays');
+    }
+    if (plan.filteredIndices != null && !Array.isArray(plan.filteredIndices)) {
+      throw new Error('Invalid project plan: filteredIndices must be an array');
+    }
+    if (plan.filteredIndices && plan.filteredIndices.some((i) => !plan.photoPoints[i])) {
+      throw new Error('Invalid project plan: filter references unknown photo points');
+    }
+  }
+
+  return {
+    savedAt: project.savedAt || null,
+    polygon: project.polygon || null,
+    corridorLine: project.corridorLine || null,
+    gcps: project.gcps || [],
+    settings: project.settings || {},
+    plan
+  };
+}
+
+/**
+ * The planner result (as from calculateStrips) of a restored plan, so the route and the flight blocks
+ * can be rebuilt after loading. Strips saved without an id get one, and their photos go to the
+ * nearest segment of their scan line; a missing part index is taken from the photos.
+ * @param {Object} plan - plan of a parsed project
+ * @returns {Object} { photoPoints, stripLines, summaryStats }; photoPoints are the planned photos at the
+ *   start of plan.photoPoints (images imported from a folder have no strip and follow them)
+ */
+export function planResultFromProject(plan) {
+  const scanLine = (item) => `${item.pass}|${item.stripIndex}`;
+  const partOf = new Map(plan.photoPoints.map((pt) => [scanLine(pt), pt.partIndex]));
+  const stripLines = plan.strips.map((strip, idx) => ({
+    id: strip.id ?? `restored-${idx}`,
+    stripIndex: strip.stripIndex,
+    partIndex: strip.partIndex ?? partOf.get(scanLine(strip)) ?? 0,
+    pass: strip.pass,
+    coordinates: strip.coordinates
+  }));
+  const planned = plan.photoPoints.findIndex((pt) => pt.stripIndex === null || pt.stripIndex === undefined);
+  const photoPoints = plan.photoPoints.slice(0, planned < 0 ? plan.photoPoints.length : planned).map((pt) => ({
+    ...stripMarker(pt),
+    stripId: pt.stripId ?? nearestStrip(pt, stripLines.filter((strip) => scanLine(strip) === scanLine(pt)))
+  }));
+  return { photoPoints, stripLines, summaryStats: plan.summaryStats || {} };
+}
+
+/**
+ * Download a project as JSON file.
+ * @param {Object} project - from serializeProject
+ * @param {string} filename
+ */
+export function downloadProject(project, filename = 'drone-planner-project.json') {
+  const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Store the project in localStorage. Returns false if the browser refused (e.g. quota exceeded).
+ * @param {Object} project - from serializeProject
+ * @returns {boolean}
+ */
+export function saveAutosave(project) {
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(project));
+    return true;
+  } catch (err) {
+    console.warn('Autosave failed:', err);
+    return false;
+  }
+}
+
+/**
+ * Read the autosaved project, or null if there is none or it cannot be read.
+ * @returns {Object|null} state { polygon, corridorLine, gcps, settings, plan }
+ */
+export function loadAutosave() {
+  const raw = localStorage.getItem(AUTOSAVE_KEY);
+  if (!raw) return null;
+  try {
+    return parseProject(raw);
+  } catch (err) {
+    console.warn('Ignoring unreadable autosave:', err);
+    return null;
+  }
+}
+
+export function clearAutosave() {
+  localStorage.removeItem(AUTOSAVE_KEY);
+}
+
+function stripMarker(pt) {
+  const { marker, ...rest } = pt;
+  return rest;
+}
+
+// Id of the strip segment closest to the point (planar, lng scaled to the latitude), null if none
+function nearestStrip(pt, stripLines) {
+  const kx = Math.cos(pt.lat * Math.PI / 180);
+  const distance = ([ax, ay], [bx, by]) => {
+    const dx = (bx - ax) * kx;
+    const dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, (((pt.lng - ax) * kx) * dx + (pt.lat - ay) * dy) / len2)) : 0;
+    return Math.hypot((pt.lng - ax) * kx - t * dx, pt.lat - ay - t * dy);
+  };
+  let best = null;
+  let bestDistance = Infinity;
+  stripLines.forEach((strip) => {
+    for (let i = 1; i < strip.coordinates.length; i++) {
+      const d = distance(strip.coordinates[i - 1], strip.coordinates[i]);
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = strip.id;
+      }
+    }
+  });
+  return best;
+}
\ No newline at end of file
@@ -0,0 +1,173 @@
+// Image QA module for Drone Planner
+// Exports:
+// - QA_LEVELS, QA_COLORS
+// - rtkStatus(flag) -> 'fixed' | 'float' | 'single' | 'none' | null: DJI RtkFlag as text
+// - imageQa(img, camera, options) -> result: GSD, motion blur and RTK checks for one image
+// - runQa(images, camera, options) -> { results, stats }
+// - qaCsv(images, results) -> string
+//
+// Works on the images read by the DISPLAY DRONE FLIGHT tool (fields of exifxmp_mapPix4D: relAlt, focal,
+// shutter, speedX/Y/Z, rtkFlag, rtkStdLon/Lat/Hgt, gpsSats, model, filename). Values may be strings
+// (XMP text), they are parsed here. The camera ({ pixelSize_um, focalLength_mm }) comes from the
+// drone database entry matching the image model.
+
+export const QA_LEVELS = ['ok', 'warn', 'bad', 'unknown'];
+export const QA_COLORS = { ok: '#16a34a', warn: '#f59e0b', bad: '#dc2626', unknown: '#6b7280' };
+
+// DJI RtkFlag values: 0 = no position, 16 = single point, 34 = float, 50 = fixed
+const RTK_FLAGS = { 0: 'none', 16: 'single', 34: 'float', 50: 'fixed' };
+
+/**
+ * @param {number|string} flag - DJI RtkFlag
+ * @returns {string|null} 'fixed' | 'float' | 'single' | 'none', null if the image has no RTK flag
+ */
+export function rtkStatus(flag) {
+  const n = toNumber(flag);
+  if (n === null) return null;
+  return RTK_FLAGS[n] || 'none';
+}
+
+/**
+ * Check one image.
+ * - GSD from the relative altitude (height above takeoff: on sloped terrain the real GSD differs),
+ *   the EXIF focal length (else the camera's) and the camera pixel size
+ * - motion blur in pixels: horizontal speed × exposure time ÷ GSD
+ * - RTK: flag other than fixed (50) is bad, standard deviations above the limits a warning
+ * @param {Object} img - flown image (see module header)
+ * @param {Object|null} camera - { pixelSize_um, focalLength_mm } or null if the model is unknown
+ * @param {Object} options - {
+ *     blurWarnPx: default 0.5, blurMaxPx: default 1 (bad above),
+ *     maxRtkStdH: horizontal std-dev limit (m, default 0.05), maxRtkStdV: vertical (m, default 0.1),
+ *     targetGsdCm: optional planned GSD, gsdTolerance: allowed relative excess (default 0.2)
+ *   }
+ * @returns {Object} { gsdCm, speedMs, exposureS, blurPx, rtk, rtkStdH, rtkStdV, issues: [{ code, level }], level }
+ */
+export function imageQa(img, camera, options = {}) {
+  const blurWarnPx = numberOr(options.blurWarnPx, 0.5);
+  const blurMaxPx = numberOr(options.blurMaxPx, 1);
+  const maxRtkStdH = numberOr(options.maxRtkStdH, 0.05);
+  const maxRtkStdV = numberOr(options.maxRtkStdV, 0.1);
+  const targetGsdCm = toNumber(options.targetGsdCm);
+  const gsdTolerance = numberOr(options.gsdTolerance, 0.2);
+
+  const relAlt = toNumber(img.relAlt);
+  const focal_mm = toNumber(img.focal) || (camera && camera.focalLength_mm) || null;
+  const pixelSize_um = camera ? camera.pixelSize_um : null;
+  const gsdM = relAlt !== null && relAlt > 0 && focal_mm && pixelSize_um
+    ? relAlt * pixelSize_um * 1e-6 / (focal_mm * 1e-3)
+    : null;
+
+  const speedX = toNumber(img.speedX);
+  const speedY = toNumber(img.speedY);
+  const speedMs = speedX !== null && speedY !== null ? Math.hypot(speedX, speedY) : null;
+  const exposureS = toExposure(img.shutter);
+  const blurPx = gsdM && speedMs !== null && exposureS !== null ? speedMs * exposureS / gsdM : null;
+
+  const rtk = rtkStatus(img.rtkFlag);
+  const stdLon = toNumber(img.rtkStdLon);
+  const stdLat = toNumber(img.rtkStdLat);
+  const rtkStdH = stdLon !== null && stdLat !== null ? Math.hypot(stdLon, stdLat) : null;
+  const rtkStdV = toNumber(img.rtkStdHgt);
+
+  const issues = [];
+  if (blurPx !== null && blurPx > blurMaxPx) issues.push({ code: 'blur', level: 'bad' });
+  else if (blurPx !== null && blurPx > blurWarnPx) issues.push({ code: 'blur', level: 'warn' });
+  if (rtk !== null && rtk !== 'fixed') issues.push({ code: `rtk-${rtk}`, level: 'bad' });
+  if (rtkStdH !== null && rtkStdH > maxRtkStdH) issues.push({ code: 'rtk-std-h', level: 'warn' });
+  if (rtkStdV !== null && rtkStdV > maxRtkStdV) issues.push({ code: 'rtk-std-v', level: 'warn' });
+  if (gsdM && targetGsdCm && gsdM * 100 > targetGsdCm * (1 + gsdTolerance)) issues.push({ code: 'gsd', level: 'warn' });
+
+  let level = 'ok';
+  if (issues.some((i) => i.level === 'bad')) level = 'bad';
+  else if (issues.length) level = 'warn';
+  else if (gsdM === null && rtk === null) level = 'unknown'; // nothing could be checked
+
+  return {
+    gsdCm: gsdM === null ? null : round(gsdM * 100, 2),
+    speedMs: speedMs === null ? null : round(speedMs, 2),
+    exposureS,
+    blurPx: blurPx === null ? null : round(blurPx, 2),
+    rtk,
+    rtkStdH: rtkStdH === null ? null : round(rtkStdH, 3),
+    rtkStdV: rtkStdV === null ? null : round(rtkStdV, 3),
+    issues,
+    level
+  };
+}
+
+/**
+ * Check a set of images.
+ * @param {Array<Object>} images
+ * @param {Object|Function} camera - camera for all images, or (img) -> camera | null
+ * @param {Object} options - see imageQa
+ * @returns {Object} { results: [imageQa result, aligned to images],
+ *   stats: { numImages, ok, warn, bad, unknown, rtkFixedPct, meanGsdCm, maxBlurPx } }
+ */
+export function runQa(images = [], camera = null, options = {}) {
+  const cameraFor = typeof camera === 'function' ? camera : () => camera;
+  const results = images.map((img) => imageQa(img, cameraFor(img), options));
+
+  const stats = { numImages: images.length };
+  QA_LEVELS.forEach((level) => { stats[level] = results.filter((r) => r.level === level).length; });
+  const withRtk = results.filter((r) => r.rtk !== null);
+  stats.rtkFixedPct = withRtk.length ? round(withRtk.filter((r) => r.rtk === 'fixed').length / withRtk.length * 100, 1) : null;
+  const gsds = results.map((r) => r.gsdCm).filter((v) => v !== null);
+  stats.meanGsdCm = gsds.length ? round(gsds.reduce((s, v) => s + v, 0) / gsds.length, 2) : null;
+  const blurs = results.map((r) => r.blurPx).filter((v) => v !== null);
+  stats.maxBlurPx = blurs.length ? Math.max(...blurs) : null;
+  return { results, stats };
+}
+
+/**
+ * CSV with one line per image.
+ * @param {Array<Object>} images
+ * @param {Array<Object>} results - from runQa (aligned to images)
+ * @returns {string}
+ */
+export function qaCsv(images = [], results = []) {
+  const lines = ['file,lat,lng,level,issues,relAlt,gsdCm,speedMs,exposureS,blurPx,rtk,rtkStdH,rtkStdV,gpsSats,model'];
+  images.forEach((img, idx) => {
+    const r = results[idx];
+    lines.push([
+      csvText(img.filename), value(img.lat, 8), value(img.lng, 8), r.level, r.issues.map((i) => i.code).join(' '),
+      value(toNumber(img.relAlt), 2), value(r.gsdCm), value(r.speedMs), value(r.exposureS), value(r.blurPx),
+      r.rtk || '', value(r.rtkStdH), value(r.rtkStdV), value(toNumber(img.gpsSats)), csvText(img.model)
+    ].join(','));
+  });
+  return lines.join('\n');
+}
+
+// Exposure time in seconds from a number or a text like "1/1000"
+function toExposure(v) {
+  if (typeof v === 'string' && v.includes('/')) {
+    const [num, den] = v.split('/').map(parseFloat);
+    return num > 0 && den > 0 ? num / den : null;
+  }
+  const n = toNumber(v);
+  return n !== null && n > 0 ? n : null;
+}
+
+function toNumber(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = typeof v === 'number' ? v : parseFloat(v);
+  return isFinite(n) ? n : null;
+}
+
+function numberOr(v, fallback) {
+  const n = toNumber(v);
+  return n === null ? fallback : n;
+}
+
+function value(v, decimals) {
+  if (typeof v !== 'number' || !isFinite(v)) return '';
+  return decimals === undefined ? String(v) : v.toFixed(decimals);
+}
+
+function csvText(v) {
+  const s = v === undefined || v === null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function round(v, decimals) {
+  return parseFloat(v.toFixed(decimals));
+}
\ No newline at end of file
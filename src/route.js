@@ -0,0 +1,264 @@
+// Route module for Drone Planner
+// Exports:
+// - buildRoute(result, options) -> { coordinates, legs, photoOrder, stats }: connected serpentine route
+// - splitIntoBatteries(route, options) -> [battery]: battery-sized chunks of a route
+//
+// Works on the plain output of calculateStrips (src/strips.js). Strips are flown boustrophedon:
+// consecutive scan lines (stripIndex) alternate direction, the segments of one scan line (split by
+// holes or a concave outline) are flown one after the other. Each pass of a capture pattern (double
+// grid, obliques) starts a new serpentine, connected by a transit leg. Uses Turf.js (via src/deps.js) for distances.
+//
+// Leg types: 'takeoff' (vertical climb at home), 'transit' (home -> first strip, between parts and
+// passes and across gaps of a scan line), 'strip', 'turn' (strip end -> next strip start), 'return' (-> home),
+// 'landing' (vertical descent). Hover time per photo is reported separately as 'hover'.
+
+import { turf } from './deps.js';
+
+const LEG_TYPES = ['takeoff', 'transit', 'strip', 'turn', 'return', 'landing'];
+
+/**
+ * Build the ordered flight route.
+ * @param {Object} result - Output of calculateStrips: { photoPoints, stripLines, summaryStats }
+ * @param {Object} options - {
+ *     home: { lat, lng } takeoff/landing point (optional; without it the route starts at the first strip),
+ *     height: flight height above takeoff (m), used for climb/descent time,
+ *     cruiseSpeed: speed on strips and transits (m/s, default 10),
+ *     turnSpeed: speed on turn legs (m/s, default 5),
+ *     hoverTimeS: hover time per photo (s, default 0),
+ *     climbRate / descentRate: vertical speeds (m/s, default 3),
+ *     multiPartMode: 'single' | 'separate' (default: result.summaryStats.multiPartMode) - with 'separate'
+ *       every part is its own flight (return home and take off again instead of a transit)
+ *   }
+ * @returns {Object} {
+ *   coordinates: [[lng,lat], ...]            // the whole route as one line
+ *   legs: [{ type, coordinates, distanceM, timeS, partIndex, pass, numPhotos }],  // numPhotos on 'strip' legs
+ *   photoOrder: [index into result.photoPoints, ...]  // photos in flight order
+ *   stats: { totalDistanceKm, totalTimeMin, byType: { <legType|hover>: { distanceKm, timeMin } } }
+ * }
+ */
+export function buildRoute(result, options = {}) {
+  if (!result || !Array.isArray(result.stripLines) || !Array.isArray(result.photoPoints)) {
+    throw new Error('buildRoute expects the result of calculateStrips');
+  }
+  const home = options.home && isFinite(options.home.lat) && isFinite(options.home.lng)
+    ? [options.home.lng, options.home.lat]
+    : null;
+  const height = parseFloat(options.height) || 0;
+  const cruiseSpeed = parseFloat(options.cruiseSpeed) || 10;
+  const turnSpeed = parseFloat(options.turnSpeed) || 5;
+  const hoverTimeS = parseFloat(options.hoverTimeS) || 0;
+  const climbRate = parseFloat(options.climbRate) || 3;
+  const descentRate = parseFloat(options.descentRate) || 3;
+  const multiPartMode = options.multiPartMode || (result.summaryStats && result.summaryStats.multiPartMode) || 'single';
+
+  // Photos per strip segment, ordered along the segment (pointIndex grows bottom -> top)
+  const photosByStrip = {};
+  result.photoPoints.forEach((pt, idx) => {
+    (photosByStrip[pt.stripId] = photosByStrip[pt.stripId] || []).push(idx);
+  });
+  Object.values(photosByStrip).forEach((list) => list.sort((a, b) => result.photoPoints[a].pointIndex - result.photoPoints[b].pointIndex));
+
+  // Group segments into scan lines, keeping the flight order of calculateStrips
+  const scanLines = [];
+  result.stripLines.forEach((strip) => {
+    const last = scanLines[scanLines.length - 1];
+    if (last && last.stripIndex === strip.stripIndex && last.partIndex === strip.partIndex && last.pass === strip.pass) last.segments.push(strip);
+    else scanLines.push({ stripIndex: strip.stripIndex, partIndex: strip.partIndex, pass: strip.pass, segments: [strip] });
+  });
+
+  const legs = [];
+  const photoOrder = [];
+  let pos = home;
+  let currentPart = null;
+  let currentPass = null;
+  let forward = true;
+
+  const addLeg = (type, coordinates, partIndex, speed, numPhotos = 0, pass) => {
+    const distanceM = coordinates.length > 1 ? lineLength(coordinates) : 0;
+    legs.push({ type, coordinates, distanceM, timeS: speed ? distanceM / speed : 0, partIndex, pass, numPhotos });
+  };
+  const addVertical = (type, rate, partIndex) => {
+    if (!home || !height) return;
+    legs.push({ type, coordinates: [home], distanceM: 0, timeS: height / rate, partIndex, numPhotos: 0 });
+  };
+
+  if (home) addVertical('takeoff', climbRate, scanLines.length ? scanLines[0].partIndex : undefined);
+
+  scanLines.forEach((line) => {
+    const newPart = line.partIndex !== currentPart;
+    const newBlock = newPart || line.pass !== currentPass;
+    if (newBlock) {
+      if (currentPart !== null && multiPartMode === 'separate' && home) {
+        addLeg('return', [pos, home], currentPart, cruiseSpeed);
+        addVertical('landing', descentRate, currentPart);
+        addVertical('takeoff', climbRate, line.partIndex);
+        pos = home;
+      }
+      // First line of a part or pass: pick the direction whose start is closer to where the drone is
+      if (pos) {
+        const fwdStart = line.segments[0].coordinates[0];
+        const lastSeg = line.segments[line.segments.length - 1];
+        const revStart = lastSeg.coordinates[lastSeg.coordinates.length - 1];
+        forward = distance(pos, fwdStart) <= distance(pos, revStart);
+      } else {
+        forward = true;
+      }
+    }
+
+    const segments = forward ? line.segments : line.segments.slice().reverse();
+    segments.forEach((seg, segIdx) => {
+      const coords = forward ? seg.coordinates : seg.coordinates.slice().reverse();
+      if (pos) {
+        let type = 'turn';
+        if (newBlock && segIdx === 0) type = 'transit'; // from home or from the previous part / pass
+        else if (segIdx > 0) type = 'transit'; // gap inside a scan line (hole, concave outline)
+        const separateStart = newPart && segIdx === 0 && multiPartMode === 'separate' && currentPart !== null && !home;
+        if (!separateStart) addLeg(type, [pos, coords[0]], line.partIndex, type === 'turn' ? turnSpeed : cruiseSpeed, 0, line.pass);
+      }
+      const photos = photosByStrip[seg.id] || [];
+      addLeg('strip', coords, line.partIndex, cruiseSpeed, photos.length, line.pass);
+      (forward ? photos : photos.slice().reverse()).forEach((idx) => photoOrder.push(idx));
+      pos = coords[coords.length - 1];
+    });
+
+    currentPart = line.partIndex;
+    currentPass = line.pass;
+    forward = !forward;
+  });
+
+  if (home && pos) {
+    addLeg('return', [pos, home], currentPart, cruiseSpeed);
+    addVertical('landing', descentRate, currentPart);
+  }
+
+  // One continuous line (vertical legs have a single coordinate)
+  const coordinates = [];
+  legs.forEach((leg) => leg.coordinates.forEach((c) => {
+    const prev = coordinates[coordinates.length - 1];
+    if (!prev || prev[0] !== c[0] || prev[1] !== c[1]) coordinates.push(c);
+  }));
+
+  const byType = {};
+  LEG_TYPES.forEach((type) => {
+    const of = legs.filter((l) => l.type === type);
+    byType[type] = {
+      distanceKm: round(of.reduce((s, l) => s + l.distanceM, 0) / 1000, 3),
+      timeMin: round(of.reduce((s, l) => s + l.timeS, 0) / 60, 2)
+    };
+  });
+  byType.hover = { distanceKm: 0, timeMin: round(photoOrder.length * hoverTimeS / 60, 2) };
+
+  const totalDistanceM = legs.reduce((s, l) => s + l.distanceM, 0);
+  const totalTimeS = legs.reduce((s, l) => s + l.timeS, 0) + photoOrder.length * hoverTimeS;
+
+  return {
+    coordinates,
+    legs,
+    photoOrder,
+    stats: {
+      totalDistanceKm: round(totalDistanceM / 1000, 3),
+      totalTimeMin: round(totalTimeS / 60, 2),
+      byType
+    }
+  };
+}
+
+/**
+ * Split a route into battery-sized flights. A battery is closed before the strip that would exceed
+ * the usable flight time (including the flight back home); the next battery starts with takeoff and
+ * a transit from home. Without a home point the split is by flown time only.
+ * @param {Object} route - from buildRoute
+ * @param {Object} options - { flightTimeMin: battery flight time (min), reserve: fraction kept as
+ *   reserve (default 0.2), home, height, cruiseSpeed, hoverTimeS, climbRate, descentRate as for buildRoute }
+ * @returns {Array<Object>} [{ index, firstPhoto, lastPhoto, numPhotos, timeMin, distanceKm, overBudget }]
+ *   where firstPhoto/lastPhoto are positions in route.photoOrder
+ */
+export function splitIntoBatteries(route, options = {}) {
+  const flightTimeMin = parseFloat(options.flightTimeMin) || 0;
+  if (!flightTimeMin || !route || !route.legs.length) return [];
+  const reserve = isNaN(parseFloat(options.reserve)) ? 0.2 : parseFloat(options.reserve);
+  const usableS = flightTimeMin * 60 * (1 - reserve);
+  const home = options.home && isFinite(options.home.lat) ? [options.home.lng, options.home.lat] : null;
+  const height = parseFloat(options.height) || 0;
+  const cruiseSpeed = parseFloat(options.cruiseSpeed) || 10;
+  const hoverTimeS = parseFloat(options.hoverTimeS) || 0;
+  const climbS = home && height ? height / (parseFloat(options.climbRate) || 3) : 0;
+  const descentS = home && height ? height / (parseFloat(options.descentRate) || 3) : 0;
+  const toHomeS = (c) => (home ? distance(c, home) / cruiseSpeed : 0);
+
+  const batteries = [];
+  let current = null;
+  let photoPos = 0;
+  let pending = []; // legs before the next strip (turn/transit), attached to that strip
+
+  const open = (startCoord) => {
+    const approach = home ? distance(home, startCoord) : 0;
+    current = { timeS: climbS + approach / cruiseSpeed, distanceM: approach, firstPhoto: photoPos, numPhotos: 0 };
+  };
+  const close = (endCoord) => {
+    const back = home ? distance(endCoord, home) : 0;
+    current.timeS += back / cruiseSpeed + descentS;
+    current.distanceM += back;
+    batteries.push(current);
+    current = null;
+  };
+
+  let lastEnd = null;
+  route.legs.forEach((leg) => {
+    if (leg.type === 'landing') {
+      // the drone lands anyway (end of a separate part): next strip starts a new battery
+      if (current) close(lastEnd);
+      pending = [];
+      return;
+    }
+    if (leg.type !== 'strip') {
+      if (leg.type === 'turn' || leg.type === 'transit') pending.push(leg);
+      return;
+    }
+    const start = leg.coordinates[0];
+    const end = leg.coordinates[leg.coordinates.length - 1];
+    const legTimeS = leg.timeS + leg.numPhotos * hoverTimeS;
+    const pendingS = pending.reduce((s, l) => s + l.timeS, 0);
+    const pendingM = pending.reduce((s, l) => s + l.distanceM, 0);
+
+    if (current && current.numPhotos > 0 && current.timeS + pendingS + legTimeS + toHomeS(end) + descentS > usableS) {
+      close(lastEnd);
+    }
+    if (!current) {
+      open(start);
+    } else {
+      current.timeS += pendingS;
+      current.distanceM += pendingM;
+    }
+    // home -> first strip transit is already part of open()
+    current.timeS += legTimeS;
+    current.distanceM += leg.distanceM;
+    current.numPhotos += leg.numPhotos;
+    photoPos += leg.numPhotos;
+    lastEnd = end;
+    pending = [];
+  });
+  if (current) close(lastEnd);
+
+  return batteries.map((b, index) => ({
+    index,
+    firstPhoto: b.firstPhoto,
+    lastPhoto: b.firstPhoto + b.numPhotos - 1,
+    numPhotos: b.numPhotos,
+    timeMin: round(b.timeS / 60, 2),
+    distanceKm: round(b.distanceM / 1000, 3),
+    overBudget: b.timeS > usableS
+  }));
+}
+
+function lineLength(coordinates) {
+  return turf.length(turf.lineString(coordinates), { units: 'kilometers' }) * 1000;
+}
+
+function distance(a, b) {
+  return turf.distance(turf.point(a), turf.point(b), { units: 'kilometers' }) * 1000;
+}
+
+function round(v, decimals) {
+  return parseFloat(v.toFixed(decimals));
+}
\ No newline at end of file
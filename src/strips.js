@@ -1,37 +1,73 @@
 // Strips & Photo Points module for Drone Planner
 // Exports:
 // - calculateStrips(polygonGeoJSON, drone, options) -> { photoPoints, stripLines, summaryStats }
+//   Polygon or MultiPolygon, holes are exclusion zones; single grid, double grid or oblique passes
+// - capturePasses(options) -> [{ id, direction, cameraHeading, gimbalPitch }]: passes of a capture pattern
+// - cameraFootprint(height, sensorW_m, sensorH_m, focal_m, gimbalPitch) -> { across, along, offset, near, far, ... }
+// - checkTriggerInterval(photoSpacing, speed, drone) -> { photoIntervalS, minPhotoIntervalS, maxSpeedMs, tooFast }
+// - gsdForHeight(height, drone) -> cm/pixel / heightForGsd(gsdCm, drone) -> m: nadir GSD <-> flight height
 //
-// This module uses Turf.js (global `turf`) for geospatial operations and assumes callers
+// This module uses Turf.js (via src/deps.js) for geospatial operations and assumes callers
 // will handle rendering (Leaflet) and storage of leaflet layers. The return values are
 // plain JS objects and arrays to make integration incremental and testable.
 
+import { turf } from './deps.js';
+
 /**
- * Calculate flight strips and photo points for a polygon.
+ * Calculate flight strips and photo points for a survey area.
  *
  * Inputs:
- *  - polygonGeoJSON: GeoJSON Polygon (coordinates in [lng,lat] order) - this is the survey area.
+ *  - polygonGeoJSON: GeoJSON Polygon or MultiPolygon (coordinates in [lng,lat] order) - this is the survey area.
+ *    Interior rings (holes, e.g. buildings or water) are exclusion zones: strips are clipped around them
+ *    and no photos are placed inside (oblique passes: at most one photo spacing, to see the edge).
  *  - drone: object with sensorWidth_px, sensorHeight_px, pixelSize_um, focalLength_mm (can be partial)
  *  - options: {
  *      height: flight height in meters (H),
  *      frontlap: fraction (0..1),
  *      sidelap: fraction (0..1),
  *      direction: flight direction degrees (0=north),
- *      minSegmentLength: minimal segment length in meters to place photos (default 1)
+ *      minSegmentLength: minimal segment length in meters to place photos (default 1),
+ *      multiPartMode: how the parts of a MultiPolygon are flown (default 'single'):
+ *        'single'   - one mission, parts ordered nearest-neighbour and connected by transit legs
+ *        'separate' - every part is its own block (no transit legs)
+ *      pattern: capture pattern (default 'single', see capturePasses):
+ *        'single'  - one nadir grid
+ *        'double'  - crosshatch: nadir grids at direction and direction+90
+ *        'oblique' - grid with the camera tilted to gimbalPitch, looking along the strips
+ *      gimbalPitch: camera pitch for oblique passes (degrees, -90 = nadir, default -45),
+ *      fiveDirection: with pattern 'oblique': nadir grid plus four oblique passes (camera looking
+ *        forward/backward along direction and direction+90),
+ *      speed: flight speed along the strips (m/s, default 10) for the trigger interval check
  *    }
+ *    drone.minPhotoInterval_s (optional): shortest trigger interval of the camera
  *
  * Returns:
  *  {
- *    photoPoints: [ { lat, lng, stripIndex, pointIndex } ],
- *    stripLines: [ { id, coordinates: [ [lng,lat], ... ] } ],
- *    summaryStats: { areaHa, numStrips, numPhotos, totalLengthKm, estTimeMin }
+ *    photoPoints: [ { lat, lng, stripIndex, pointIndex, stripId, partIndex, pass, heading, gimbalPitch } ],
+ *                 // stripId -> stripLines[].id, heading = camera heading (deg), gimbalPitch (deg, -90 = nadir)
+ *    stripLines: [ { id, stripIndex, partIndex, pass, coordinates: [ [lng,lat], ... ] } ],
+ *    summaryStats: {
+ *      areaHa, numStrips, numPhotos, totalLengthKm, estTimeMin,   // totals (estTimeMin includes transit)
+ *      multiPartMode, pattern,
+ *      passes: [ { id, direction, cameraHeading, gimbalPitch, numStrips, numPhotos } ],
+ *      photosPerPass: { <pass id>: numPhotos },
+ *      parts: [ { partIndex, areaHa, numStrips, numPhotos, totalLengthKm, estTimeMin } ],  // in flight order
+ *      transitLegs: [ { fromPart, toPart, coordinates: [[lng,lat],[lng,lat]], lengthKm } ],
+ *      transitLengthKm,
+ *      photoSpacingM,     // shortest photo spacing of all passes
+ *      triggerInterval    // checkTriggerInterval result; tooFast: the camera cannot trigger that often
+ *    }
  *  }
  *
+ * Parts are flown one after the other, each with all its passes. stripIndex is unique over all parts
+ * and passes; all segments of one scan line (split by holes or a concave
+ * outline) share it and their pointIndex continues along the line.
+ *
  * Note: this function is pure JS (no Leaflet). Callers should add layers to the map from the returned data.
  */
 export function calculateStrips(polygonGeoJSON, drone = {}, options = {}) {
-  if (!polygonGeoJSON || !polygonGeoJSON.type || polygonGeoJSON.type !== 'Polygon') {
-    throw new Error('polygonGeoJSON must be a GeoJSON Polygon');
+  if (!polygonGeoJSON || (polygonGeoJSON.type !== 'Polygon' && polygonGeoJSON.type !== 'MultiPolygon')) {
+    throw new Error('polygonGeoJSON must be a GeoJSON Polygon or MultiPolygon');
   }
 
   const sensorW_px = drone.sensorWidth_px || 0;
@@ -42,8 +78,9 @@ export function calculateStrips(polygonGeoJSON, drone = {}, options = {}) {
   const height = parseFloat(options.height) || 0;
   const frontlap = parseFloat(options.frontlap) || 0.7;
   const sidelap = parseFloat(options.sidelap) || 0.6;
-  const dir = (parseFloat(options.direction) || 0) % 360;
+  const pattern = ['double', 'oblique'].includes(options.pattern) ? options.pattern : 'single';
   const minSegmentLength = options.minSegmentLength || 1;
+  const multiPartMode = options.multiPartMode === 'separate' ? 'separate' : 'single';
 
   // Compute footprint sizes in meters
   const sensorW_m = sensorW_px * pixelSize_m;
@@ -51,18 +88,230 @@ export function calculateStrips(polygonGeoJSON, drone = {}, options = {}) {
   if (!sensorW_m || !sensorH_m || !focal_m || !height) {
     throw new Error('Missing sensor/pixel/focal/height parameters');
   }
-  const footprintX = height * sensorW_m / focal_m; // ground width
-  const footprintY = height * sensorH_m / focal_m; // ground height
 
-  const poly = turf.polygon(polygonGeoJSON.coordinates);
+  // Spacing per pass: a tilted camera has a longer (and wider) footprint along its viewing direction
+  const passes = capturePasses({ ...options, pattern }).map((pass) => {
+    const footprint = cameraFootprint(height, sensorW_m, sensorH_m, focal_m, pass.gimbalPitch);
+    return {
+      ...pass,
+      stripSpacing: footprint.across * (1 - sidelap),
+      photoSpacing: footprint.along * (1 - frontlap),
+      offset: footprint.offset,
+      numStrips: 0,
+      numPhotos: 0
+    };
+  });
+
+  const rings = polygonGeoJSON.type === 'Polygon' ? [polygonGeoJSON.coordinates] : polygonGeoJSON.coordinates;
+  const parts = rings.map((partRings, partIndex) => ({ partIndex, poly: turf.polygon(partRings) }));
+  const orderedParts = multiPartMode === 'single' ? orderParts(parts) : parts;
+
+  const photoPoints = [];
+  const stripLines = [];
+  const partStats = [];
+  let stripIndex = 0;
+  let totalStripLengthKm = 0;
+
+  orderedParts.forEach((part) => {
+    const firstPhoto = photoPoints.length;
+    const firstStrip = stripIndex;
+    let partLengthKm = 0;
+    passes.forEach((pass) => {
+      const passFirstPhoto = photoPoints.length;
+      const res = planPart(part, pass, { minSegmentLength, stripIndexStart: stripIndex }, stripLines, photoPoints);
+      stripIndex += res.numStrips;
+      partLengthKm += res.lengthKm;
+      pass.numStrips += res.numStrips;
+      pass.numPhotos += photoPoints.length - passFirstPhoto;
+    });
+    totalStripLengthKm += partLengthKm;
+    partStats.push({
+      partIndex: part.partIndex,
+      areaHa: parseFloat((turf.area(part.poly) / 10000).toFixed(2)),
+      numStrips: stripIndex - firstStrip,
+      numPhotos: photoPoints.length - firstPhoto,
+      totalLengthKm: parseFloat(partLengthKm.toFixed(2)),
+      estTimeMin: Math.ceil(estimateTimeMin(partLengthKm))
+    });
+  });
+
+  // Transit legs: end of the last strip of a part -> start of the first strip of the next part
+  const transitLegs = [];
+  if (multiPartMode === 'single') {
+    let prev = null;
+    orderedParts.forEach((part) => {
+      const partStrips = stripLines.filter((s) => s.partIndex === part.partIndex);
+      if (partStrips.length === 0) return;
+      if (prev) {
+        const from = prev.coordinates[prev.coordinates.length - 1];
+        const to = partStrips[0].coordinates[0];
+        transitLegs.push({
+          fromPart: prev.partIndex,
+          toPart: part.partIndex,
+          coordinates: [from, to],
+          lengthKm: parseFloat(turf.distance(turf.point(from), turf.point(to), { units: 'kilometers' }).toFixed(3))
+        });
+      }
+      prev = partStrips[partStrips.length - 1];
+    });
+  }
+
+  // summary
+  const transitLengthKm = transitLegs.reduce((sum, l) => sum + l.lengthKm, 0);
+  const areaHa = turf.area(polygonGeoJSON) / 10000;
+  const photoSpacingM = Math.min(...passes.map((pass) => pass.photoSpacing));
+
+  const summaryStats = {
+    areaHa: parseFloat(areaHa.toFixed(2)),
+    numStrips: stripIndex,
+    numPhotos: photoPoints.length,
+    totalLengthKm: parseFloat(totalStripLengthKm.toFixed(2)),
+    estTimeMin: Math.ceil(estimateTimeMin(totalStripLengthKm + transitLengthKm)),
+    multiPartMode,
+    pattern,
+    passes: passes.map(({ id, direction, cameraHeading, gimbalPitch, numStrips, numPhotos }) => ({ id, direction, cameraHeading, gimbalPitch, numStrips, numPhotos })),
+    photosPerPass: Object.fromEntries(passes.map((pass) => [pass.id, pass.numPhotos])),
+    parts: partStats,
+    transitLegs,
+    transitLengthKm: parseFloat(transitLengthKm.toFixed(2)),
+    photoSpacingM: parseFloat(photoSpacingM.toFixed(2)),
+    triggerInterval: checkTriggerInterval(photoSpacingM, parseFloat(options.speed) || 10, drone)
+  };
+
+  return {
+    photoPoints,
+    stripLines, // coordinates in [lng,lat] arrays
+    summaryStats
+  };
+}
+
+/**
+ * Time between two photos along a strip compared with the shortest trigger interval of the camera.
+ * Below it the camera skips photos and the frontlap is not reached.
+ * @param {number} photoSpacing - distance between photos (m)
+ * @param {number} speed - flight speed (m/s)
+ * @param {Object} drone - { minPhotoInterval_s } (optional)
+ * @returns {Object} { photoIntervalS, minPhotoIntervalS, maxSpeedMs (fastest speed the camera keeps up with),
+ *   tooFast }; minPhotoIntervalS / maxSpeedMs are null if the camera interval is unknown
+ */
+export function checkTriggerInterval(photoSpacing, speed, drone = {}) {
+  const minInterval = parseFloat(drone.minPhotoInterval_s);
+  const photoIntervalS = speed > 0 ? photoSpacing / speed : null;
+  const known = minInterval > 0;
+  return {
+    photoIntervalS: photoIntervalS === null ? null : parseFloat(photoIntervalS.toFixed(2)),
+    minPhotoIntervalS: known ? minInterval : null,
+    maxSpeedMs: known ? parseFloat((photoSpacing / minInterval).toFixed(1)) : null,
+    tooFast: known && photoIntervalS !== null && photoIntervalS < minInterval
+  };
+}
+
+/**
+ * Ground sample distance of a nadir photo: GSD = H * pixel size / focal length.
+ * @param {number} height - flight height above ground (m)
+ * @param {Object} drone - { pixelSize_um, focalLength_mm }
+ * @returns {number} GSD in cm/pixel, NaN if the camera or the height is unknown
+ */
+export function gsdForHeight(height, drone = {}) {
+  const { pixelSize_m, focal_m } = cameraScale(drone);
+  const h = parseFloat(height);
+  if (!pixelSize_m || !focal_m || isNaN(h)) return NaN;
+  return h * pixelSize_m / focal_m * 100;
+}
+
+/**
+ * Flight height for a nadir GSD, the inverse of gsdForHeight.
+ * @param {number} gsdCm - GSD (cm/pixel)
+ * @param {Object} drone - { pixelSize_um, focalLength_mm }
+ * @returns {number} height above ground (m), NaN if the camera or the GSD is unknown
+ */
+export function heightForGsd(gsdCm, drone = {}) {
+  const { pixelSize_m, focal_m } = cameraScale(drone);
+  const gsd = parseFloat(gsdCm);
+  if (!pixelSize_m || !focal_m || isNaN(gsd)) return NaN;
+  return gsd / 100 * focal_m / pixelSize_m;
+}
+
+/**
+ * Passes of a capture pattern (see calculateStrips options). Headings are degrees clockwise from north.
+ * @param {Object} options - { direction, pattern, gimbalPitch, fiveDirection }
+ * @returns {Array<Object>} [{ id, direction (strip direction), cameraHeading, gimbalPitch }]
+ */
+export function capturePasses(options = {}) {
+  const dir = (parseFloat(options.direction) || 0) % 360;
+  const obliquePitch = isNaN(parseFloat(options.gimbalPitch)) ? -45 : parseFloat(options.gimbalPitch);
+  const norm = (h) => ((h % 360) + 360) % 360;
+  const nadir = (id, direction) => ({ id, direction: norm(direction), cameraHeading: norm(direction), gimbalPitch: -90 });
+  const oblique = (rel, direction) => ({ id: `oblique-${rel}`, direction: norm(direction), cameraHeading: norm(dir + rel), gimbalPitch: obliquePitch });
+
+  switch (options.pattern) {
+    case 'double':
+      return [nadir('nadir', dir), nadir('nadir-cross', dir + 90)];
+    case 'oblique':
+      if (options.fiveDirection) {
+        return [nadir('nadir', dir), oblique(0, dir), oblique(180, dir), oblique(90, dir + 90), oblique(270, dir + 90)];
+      }
+      return [oblique(0, dir)];
+    default:
+      return [nadir('nadir', dir)];
+  }
+}
+
+/**
+ * Ground footprint of a camera tilted along its viewing direction on flat ground.
+ * The sensor width lies across the viewing direction, the sensor height along it (as for nadir strips).
+ * @param {number} height - height above ground (m)
+ * @param {number} sensorW_m - sensor width (m)
+ * @param {number} sensorH_m - sensor height (m)
+ * @param {number} focal_m - focal length (m)
+ * @param {number} gimbalPitch - degrees, -90 = nadir, 0 = horizon
+ * @returns {Object} { across, along, offset, near, far, nearHalfWidth, farHalfWidth } in meters: width
+ *   across the viewing direction (at the image centre), length along it, horizontal distance from the
+ *   drone to the image centre, distance ahead of the drone to the near / far image edge and the half
+ *   widths there (a tilted camera sees a trapezoid, the width grows with the depth along the optical axis)
+ */
+export function cameraFootprint(height, sensorW_m, sensorH_m, focal_m, gimbalPitch = -90) {
+  const tilt = (90 + (isNaN(gimbalPitch) ? -90 : gimbalPitch)) * Math.PI / 180; // 0 = nadir
+  const halfAlong = Math.atan(sensorH_m / 2 / focal_m);
+  const halfAcross = Math.atan(sensorW_m / 2 / focal_m);
+  if (tilt + halfAlong >= Math.PI / 2 - 0.01) {
+    throw new Error(`Gimbal pitch ${gimbalPitch}° too shallow: the image would reach the horizon`);
+  }
+  const near = height * Math.tan(tilt - halfAlong);
+  const far = height * Math.tan(tilt + halfAlong);
+  const halfWidth = (d) => (d * Math.sin(tilt) + height * Math.cos(tilt)) * Math.tan(halfAcross);
+  return {
+    across: 2 * (height / Math.cos(tilt)) * Math.tan(halfAcross),
+    along: far - near,
+    offset: height * Math.tan(tilt),
+    near,
+    far,
+    nearHalfWidth: halfWidth(near),
+    farHalfWidth: halfWidth(far)
+  };
+}
+
+/**
+ * Strips and photo points of one part (a Polygon, possibly with holes) for one pass. Appends to
+ * stripLines / photoPoints and returns { numStrips, lengthKm }.
+ * The scan lines place the image centres over the area. A tilted camera looks pass.offset meters
+ * ahead, so the drone flies the lines moved back by that distance against the camera heading; and as
+ * it sees the area edges from outside, oblique scan lines run one photo spacing beyond the area at
+ * both ends, with a photo there.
+ */
+function planPart(part, pass, params, stripLines, photoPoints) {
+  const { minSegmentLength, stripIndexStart } = params;
+  const { stripSpacing, photoSpacing } = pass;
+  const dir = pass.direction;
+  const oblique = pass.offset > 0.01;
+  const toDrone = (c) => (oblique
+    ? turf.destination(c, pass.offset / 1000, pass.cameraHeading + 180, { units: 'kilometers' }).geometry.coordinates
+    : c);
+  const poly = part.poly;
   const centroid = turf.centroid(poly);
   const rotatedPoly = turf.transformRotate(poly, -dir, { pivot: centroid });
   const bbox = turf.bbox(rotatedPoly); // [minX,minY,maxX,maxY]
 
-  // Spacing
-  const stripSpacing = footprintX * (1 - sidelap);
-  const photoSpacing = footprintY * (1 - frontlap);
-
   // Prepare scanning line across bbox center
   const bboxCenter = [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
   const leftPoint = turf.point([bbox[0], bboxCenter[1]]);
@@ -77,8 +326,6 @@ export function calculateStrips(polygonGeoJSON, drone = {}, options = {}) {
   // start point a bit left to include edge
   const startPoint = turf.destination(leftPoint, (-stripSpacing) / 1000, 90, { units: 'kilometers' });
 
-  const photoPoints = [];
-  const stripLines = [];
   let totalStripLengthKm = 0;
   let actualStripCount = 0;
 
@@ -89,38 +336,56 @@ export function calculateStrips(polygonGeoJSON, drone = {}, options = {}) {
     const bottom = turf.destination(offsetPoint, 20000 / 1000, 180, { units: 'kilometers' });
     const line = turf.lineString([bottom.geometry.coordinates, top.geometry.coordinates]);
 
+    // lineSplit does not return the pieces in order (holes add extra pieces), sort them bottom -> top
     const split = turf.lineSplit(line, rotatedPoly);
+    const segments = split.features.sort((a, b) => a.geometry.coordinates[0][1] - b.geometry.coordinates[0][1]);
     let stripSegments = 0;
+    let pointIndexInStrip = 0;
 
-    split.features.forEach((seg) => {
+    segments.forEach((seg) => {
       const segMid = turf.midpoint(turf.point(seg.geometry.coordinates[0]), turf.point(seg.geometry.coordinates[seg.geometry.coordinates.length - 1]));
       if (turf.booleanPointInPolygon(segMid, rotatedPoly)) {
+        const segLength_m = turf.length(seg, { units: 'kilometers' }) * 1000;
+        let scan = seg;
+        if (oblique) {
+          // the scan lines run south -> north before the rotation
+          const coords = seg.geometry.coordinates;
+          const before = turf.destination(coords[0], photoSpacing / 1000, 180, { units: 'kilometers' });
+          const after = turf.destination(coords[coords.length - 1], photoSpacing / 1000, 0, { units: 'kilometers' });
+          scan = turf.lineString([before.geometry.coordinates, ...coords, after.geometry.coordinates]);
+        }
         // rotate back to original orientation
-        const segBack = turf.transformRotate(seg, dir, { pivot: centroid });
-        const latlngs = segBack.geometry.coordinates.map((c) => [c[1], c[0]]); // [lat,lng]
+        const segBack = turf.transformRotate(scan, dir, { pivot: centroid });
+        const stripId = `${i}-${stripLines.length}`;
         stripLines.push({
-          id: `${i}-${stripLines.length}`,
-          coordinates: segBack.geometry.coordinates // in [lng,lat] format for consumer
+          id: stripId,
+          stripIndex: stripIndexStart + actualStripCount,
+          partIndex: part.partIndex,
+          pass: pass.id,
+          coordinates: segBack.geometry.coordinates.map(toDrone) // in [lng,lat] format for consumer
         });
         stripSegments++;
 
-        const segLength_km = turf.length(seg, { units: 'kilometers' });
-        const segLength_m = segLength_km * 1000;
-        totalStripLengthKm += segLength_km;
+        const flownLength_km = turf.length(scan, { units: 'kilometers' });
+        totalStripLengthKm += flownLength_km;
         if (segLength_m < minSegmentLength) return;
-        const stepCount = Math.floor(segLength_m / photoSpacing);
-        let pointIndexInStrip = 0;
+        const stepCount = Math.floor(flownLength_km * 1000 / photoSpacing);
         for (let s = 0; s <= stepCount; s++) {
           const dist_km = (s * photoSpacing) / 1000;
-          const ptOnSeg = turf.along(seg, dist_km, { units: 'kilometers' });
+          const ptOnSeg = turf.along(scan, dist_km, { units: 'kilometers' });
           const ptBack = turf.transformRotate(ptOnSeg, dir, { pivot: centroid });
-          const coords = ptBack.geometry.coordinates; // [lng,lat]
-          if (turf.booleanPointInPolygon(ptBack, poly)) {
+          const coords = toDrone(ptBack.geometry.coordinates); // [lng,lat] of the drone
+          if (oblique || turf.booleanPointInPolygon(ptBack, poly)) {
             photoPoints.push({
               lat: coords[1],
               lng: coords[0],
-              stripIndex: actualStripCount,
-              pointIndex: pointIndexInStrip
+              stripIndex: stripIndexStart + actualStripCount,
+              pointIndex: pointIndexInStrip,
+              stripId,
+              partIndex: part.partIndex,
+              pass: pass.id,
+              heading: pass.cameraHeading,
+              gimbalPitch: pass.gimbalPitch
             });
             pointIndexInStrip++;
           }
@@ -131,21 +396,35 @@ export function calculateStrips(polygonGeoJSON, drone = {}, options = {}) {
     if (stripSegments > 0) actualStripCount++;
   }
 
-  // summary
-  const areaHa = turf.area(poly) / 10000;
-  const estFlightTimeMin = (totalStripLengthKm / 0.6) * 60; // assuming 10 m/s = 0.6 km/min
-
-  const summaryStats = {
-    areaHa: parseFloat(areaHa.toFixed(2)),
-    numStrips: actualStripCount,
-    numPhotos: photoPoints.length,
-    totalLengthKm: parseFloat(totalStripLengthKm.toFixed(2)),
-    estTimeMin: Math.ceil(estFlightTimeMin)
-  };
+  return { numStrips: actualStripCount, lengthKm: totalStripLengthKm };
+}
 
+// Pixel size and focal length in meters (0 if unknown)
+function cameraScale(drone) {
   return {
-    photoPoints,
-    stripLines, // coordinates in [lng,lat] arrays
-    summaryStats
+    pixelSize_m: (parseFloat(drone.pixelSize_um) || 0) * 1e-6,
+    focal_m: (parseFloat(drone.focalLength_mm) || 0) * 1e-3
   };
+}
+
+/** Greedy nearest-neighbour order of the parts (by centroid), starting with the first part. */
+function orderParts(parts) {
+  if (parts.length < 3) return parts.slice();
+  const remaining = parts.slice(1);
+  const ordered = [parts[0]];
+  while (remaining.length) {
+    const last = turf.centroid(ordered[ordered.length - 1].poly);
+    let best = 0;
+    let bestDist = Infinity;
+    remaining.forEach((p, idx) => {
+      const d = turf.distance(last, turf.centroid(p.poly));
+      if (d < bestDist) { bestDist = d; best = idx; }
+    });
+    ordered.push(remaining.splice(best, 1)[0]);
+  }
+  return ordered;
+}
+
+function estimateTimeMin(lengthKm) {
+  return lengthKm / 0.6; // rough estimate over strips/transits only, assuming 10 m/s = 0.6 km/min (see src/route.js)
 }
\ No newline at end of file
@@ -0,0 +1,211 @@
+// Terrain-following module for Drone Planner
+// Exports:
+// - applyTerrainFollowing(result, drone, options, fetchElevations): samples terrain along every strip,
+//   builds a climb-rate limited flight profile and assigns each photo point its own AGL/absolute altitude
+//
+// Works on the plain output of calculateStrips (src/strips.js). Elevations are fetched through the
+// function passed in (normally fetchElevationsBatch) so the module has no network code of its own.
+// Uses Turf.js (via src/deps.js) for distances along the strips.
+
+import { turf } from './deps.js';
+
+/**
+ * Turn a constant-height strip plan into a terrain-following plan.
+ *
+ * For each strip the terrain is sampled every `sampleSpacing` meters. The target altitude is
+ * terrain + height (constant AGL => constant GSD); it is then raised where needed so the climb
+ * and descent gradient never exceeds maxClimbRate / speed. Vertices are kept where the slope of
+ * that profile changes by more than `slopeThreshold`, and extra vertices are inserted wherever the
+ * straight line between two vertices would pass closer than `minClearance` to the sampled terrain.
+ *
+ * @param {Object} result - Output of calculateStrips: { photoPoints, stripLines, summaryStats }
+ * @param {Object} drone - { pixelSize_um, focalLength_mm } used to compute the GSD actually achieved
+ * @param {Object} options - {
+ *     height: target height above ground (m),
+ *     speed: cruise speed (m/s, default 10 - same assumption as estTimeMin),
+ *     maxClimbRate: max vertical speed (m/s, default 3),
+ *     minClearance: minimal clearance above the sampled terrain between vertices (m, default 20,
+ *       at most height),
+ *     sampleSpacing: terrain sampling distance along the strip (m, default 20),
+ *     slopeThreshold: slope change (rise/run) that triggers an extra vertex (default 0.02)
+ *   }
+ * @param {Function} fetchElevations - async (points[{lat,lng}]) -> [{ elevation, source, status }], aligned to input
+ *   (same contract as fetchElevationsBatch)
+ * Throws if minClearance exceeds height or if any terrain sample has no elevation (status other than 'ok').
+ * @returns {Promise<Object>} { photoPoints, stripLines, summaryStats } where
+ *   - photoPoints[] additionally carry elevation, absoluteAltitude, heightAgl, gsdCm,
+ *     elevationSource, elevationStatus
+ *   - stripLines[] carry the densified coordinates plus altitudes[] and elevations[] per vertex
+ *   - summaryStats additionally carries gsdMinCm, gsdMaxCm, gsdMeanCm, terrainFollowing: true
+ */
+export async function applyTerrainFollowing(result, drone = {}, options = {}, fetchElevations) {
+  if (!result || !Array.isArray(result.stripLines) || !Array.isArray(result.photoPoints)) {
+    throw new Error('applyTerrainFollowing expects the result of calculateStrips');
+  }
+  if (typeof fetchElevations !== 'function') {
+    throw new Error('applyTerrainFollowing needs a fetchElevations function');
+  }
+
+  const height = parseFloat(options.height) || 0;
+  if (!height) throw new Error('Missing flight height for terrain following');
+  const speed = parseFloat(options.speed) || 10;
+  const maxClimbRate = parseFloat(options.maxClimbRate) || 3;
+  const minClearance = isNaN(parseFloat(options.minClearance)) ? 20 : parseFloat(options.minClearance);
+  const sampleSpacing = parseFloat(options.sampleSpacing) || 20;
+  const slopeThreshold = isNaN(parseFloat(options.slopeThreshold)) ? 0.02 : parseFloat(options.slopeThreshold);
+  const maxGradient = maxClimbRate / speed; // allowed rise per meter flown
+  // the profile is flown at terrain + height over every sample, so it cannot keep more clearance than that
+  if (minClearance > height) {
+    throw new Error(`Min. clearance (${minClearance} m) exceeds the flight height (${height} m)`);
+  }
+
+  // 1. Build sample positions along every strip (distance in meters from the strip start)
+  const strips = result.stripLines.map((strip) => {
+    const line = turf.lineString(strip.coordinates);
+    const length_m = turf.length(line, { units: 'kilometers' }) * 1000;
+    const samples = [];
+    const steps = Math.max(1, Math.ceil(length_m / sampleSpacing));
+    for (let s = 0; s <= steps; s++) {
+      const d = Math.min(s * sampleSpacing, length_m);
+      const c = turf.along(line, d / 1000, { units: 'kilometers' }).geometry.coordinates;
+      samples.push({ d, lng: c[0], lat: c[1] });
+    }
+    return { strip, line, length_m, samples };
+  });
+
+  // 2. Fetch terrain for all samples and all photo points in one go (samples first, then photos)
+  const pointsToFetch = [];
+  strips.forEach((s) => s.samples.forEach((p) => pointsToFetch.push({ lat: p.lat, lng: p.lng })));
+  result.photoPoints.forEach((p) => pointsToFetch.push({ lat: p.lat, lng: p.lng }));
+  const elevations = await fetchElevations(pointsToFetch);
+
+  const missing = { elevation: 0, source: 'none', status: 'fallback' };
+  let k = 0;
+  let fallbackSamples = 0;
+  strips.forEach((s) => s.samples.forEach((p) => {
+    const e = elevations[k++] || missing;
+    if (e.status !== 'ok') fallbackSamples++;
+    p.terrain = e.elevation;
+  }));
+  // a profile over fallback terrain (0 m) follows nothing and may fly into the real ground
+  if (fallbackSamples > 0) {
+    throw new Error(`Terrain following needs terrain elevations: ${fallbackSamples} of ${k} samples have none`);
+  }
+  const photoElevations = result.photoPoints.map(() => elevations[k++] || missing);
+
+  // 3. Per strip: climb-limited profile, vertex selection, clearance check
+  const stripById = {};
+  const stripLines = strips.map((s) => {
+    const profile = limitGradient(s.samples.map((p) => p.terrain + height), s.samples, maxGradient);
+    const keep = selectVertices(s.samples, profile, slopeThreshold);
+    enforceClearance(s.samples, profile, keep, minClearance);
+
+    const vertices = keep.map((idx) => ({
+      d: s.samples[idx].d,
+      coord: [s.samples[idx].lng, s.samples[idx].lat],
+      altitude: profile[idx],
+      elevation: s.samples[idx].terrain
+    }));
+    const out = {
+      ...s.strip,
+      coordinates: vertices.map((v) => v.coord),
+      altitudes: vertices.map((v) => v.altitude),
+      elevations: vertices.map((v) => v.elevation)
+    };
+    stripById[s.strip.id] = { line: s.line, vertices };
+    return out;
+  });
+
+  // 4. Photo points: altitude flown at their position on the strip, AGL and GSD from their own terrain
+  const pixelSize_m = (drone.pixelSize_um || 0) * 1e-6;
+  const focal_m = (drone.focalLength_mm || 0) * 1e-3;
+  const photoPoints = result.photoPoints.map((pt, idx) => {
+    const { elevation, source, status } = photoElevations[idx];
+    const entry = stripById[pt.stripId];
+    let absoluteAltitude = elevation + height;
+    if (entry) {
+      const loc = turf.nearestPointOnLine(entry.line, turf.point([pt.lng, pt.lat]), { units: 'kilometers' });
+      absoluteAltitude = interpolateAltitude(entry.vertices, loc.properties.location * 1000);
+    }
+    const heightAgl = absoluteAltitude - elevation;
+    const gsdCm = (pixelSize_m && focal_m) ? heightAgl * pixelSize_m / focal_m * 100 : NaN;
+    return { ...pt, elevation, absoluteAltitude, heightAgl, gsdCm, elevationSource: source, elevationStatus: status };
+  });
+
+  const gsds = photoPoints.map((p) => p.gsdCm).filter((g) => !isNaN(g));
+  const summaryStats = {
+    ...result.summaryStats,
+    terrainFollowing: true,
+    gsdMinCm: gsds.length ? parseFloat(Math.min(...gsds).toFixed(2)) : NaN,
+    gsdMaxCm: gsds.length ? parseFloat(Math.max(...gsds).toFixed(2)) : NaN,
+    gsdMeanCm: gsds.length ? parseFloat((gsds.reduce((a, b) => a + b, 0) / gsds.length).toFixed(2)) : NaN
+  };
+
+  return { photoPoints, stripLines, summaryStats };
+}
+
+/**
+ * Raise altitudes so that |alt[i] - alt[j]| <= maxGradient * |d[i] - d[j]| for neighbours.
+ * Forward pass limits descents, backward pass makes the drone start climbing early enough.
+ * Only raises, so the result never gets closer to the ground than the target.
+ */
+function limitGradient(target, samples, maxGradient) {
+  const alt = target.slice();
+  for (let i = 1; i < alt.length; i++) {
+    alt[i] = Math.max(alt[i], alt[i - 1] - maxGradient * (samples[i].d - samples[i - 1].d));
+  }
+  for (let i = alt.length - 2; i >= 0; i--) {
+    alt[i] = Math.max(alt[i], alt[i + 1] - maxGradient * (samples[i + 1].d - samples[i].d));
+  }
+  return alt;
+}
+
+/** Indices of samples where the profile slope changes by more than slopeThreshold (plus both ends). */
+function selectVertices(samples, profile, slopeThreshold) {
+  const keep = [0];
+  for (let i = 1; i < samples.length - 1; i++) {
+    const before = (profile[i] - profile[i - 1]) / ((samples[i].d - samples[i - 1].d) || 1);
+    const after = (profile[i + 1] - profile[i]) / ((samples[i + 1].d - samples[i].d) || 1);
+    if (Math.abs(after - before) > slopeThreshold) keep.push(i);
+  }
+  if (samples.length > 1) keep.push(samples.length - 1);
+  return keep;
+}
+
+/**
+ * Insert vertices (in place, keeping `keep` sorted) until no sample between two vertices
+ * lies closer than minClearance below the straight segment flown between them.
+ */
+function enforceClearance(samples, profile, keep, minClearance) {
+  for (let v = 0; v < keep.length - 1; v++) {
+    const a = keep[v];
+    const b = keep[v + 1];
+    let worst = -1;
+    let worstDeficit = 0;
+    for (let i = a + 1; i < b; i++) {
+      const t = (samples[i].d - samples[a].d) / ((samples[b].d - samples[a].d) || 1);
+      const flown = profile[a] + t * (profile[b] - profile[a]);
+      const deficit = (samples[i].terrain + minClearance) - flown;
+      if (deficit > worstDeficit) { worstDeficit = deficit; worst = i; }
+    }
+    if (worst !== -1) {
+      keep.splice(v + 1, 0, worst);
+      v--; // re-check the first half of the split segment
+    }
+  }
+}
+
+/** Linear interpolation of the flown altitude at distance d (m) along a strip. */
+function interpolateAltitude(vertices, d) {
+  if (vertices.length === 0) return 0;
+  if (d <= vertices[0].d) return vertices[0].altitude;
+  for (let i = 1; i < vertices.length; i++) {
+    if (d <= vertices[i].d) {
+      const a = vertices[i - 1];
+      const b = vertices[i];
+      const t = (d - a.d) / ((b.d - a.d) || 1);
+      return a.altitude + t * (b.altitude - a.altitude);
+    }
+  }
+  return vertices[vertices.length - 1].altitude;
+}
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Flight blocks (src/blocks.js) on the fixture fields
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as turf from '@turf/turf';
+import { splitIntoBlocks, blockExportData } from '../src/blocks.js';
+import { runExporter } from '../src/exporters.js';
+import { serializeProject, parseProject, planResultFromProject } from '../src/project.js';
+import { planStrips } from './helpers.js';
+
+const result = planStrips('Acker Nord', { height: 60, frontlap: 0.7, sidelap: 0.6, direction: 0, minSegmentLength: 1 });
+const photosOfStrip = (stripIndex) => result.photoPoints.filter((pt) => pt.stripIndex === stripIndex).length;
+
+test('photo limit keeps whole strips and overlaps by one strip', () => {
+  const blocks = splitIntoBlocks(result, { limit: 'photos', max: 40, height: 60 });
+  assert.ok(blocks.length > 1);
+  blocks.forEach((block, idx) => {
+    assert.ok(block.numPhotos <= 40);
+    assert.equal(block.overLimit, false);
+    assert.equal(block.photoOrder.length, block.numPhotos);
+    assert.equal(block.numPhotos, block.stripIndices.reduce((sum, s) => sum + photosOfStrip(s), 0));
+    if (idx > 0) {
+      const previous = blocks[idx - 1].stripIndices;
+      assert.deepEqual(block.overlapStripIndices, [previous[previous.length - 1]]);
+      assert.equal(block.stripIndices[0], block.overlapStripIndices[0]);
+    }
+  });
+  // every strip is flown, in flight order
+  const own = blocks.flatMap((block) => block.stripIndices.slice(block.overlapStripIndices.length));
+  assert.deepEqual(own, result.stripLines.map((strip) => strip.stripIndex));
+});
+
+test('overlapStrips 0 splits without repeated strips', () => {
+  const blocks = splitIntoBlocks(result, { limit: 'photos', max: 40, overlapStrips: 0, height: 60 });
+  assert.equal(blocks.reduce((sum, block) => sum + block.numPhotos, 0), result.photoPoints.length);
+  blocks.forEach((block) => assert.deepEqual(block.overlapStripIndices, []));
+});
+
+test('time limit fits every block into the flight time', () => {
+  const home = { lat: result.photoPoints[0].lat, lng: result.photoPoints[0].lng };
+  const blocks = splitIntoBlocks(result, { limit: 'time', max: 2, home, height: 60, cruiseSpeed: 10 });
+  assert.ok(blocks.length > 1);
+  blocks.forEach((block) => {
+    assert.ok(block.timeMin <= 2);
+    assert.deepEqual(block.launchPoint, home);
+  });
+});
+
+test('distance limit keeps every strip within the radius of its launch point', () => {
+  const blocks = splitIntoBlocks(result, { limit: 'distance', max: 150, height: 60 });
+  assert.ok(blocks.length > 1);
+  blocks.forEach((block) => {
+    assert.ok(block.maxDistanceM <= 150);
+    const from = turf.point([block.launchPoint.lng, block.launchPoint.lat]);
+    result.stripLines.filter((strip) => block.stripIndices.includes(strip.stripIndex)).forEach((strip) => {
+      strip.coordinates.forEach((c) => assert.ok(turf.distance(from, turf.point(c), { units: 'meters' }) <= 150.5));
+    });
+  });
+});
+
+test('a strip above the limit becomes its own block', () => {
+  const blocks = splitIntoBlocks(result, { limit: 'photos', max: 2, height: 60 });
+  assert.equal(blocks.length, result.stripLines.length);
+  assert.ok(blocks.every((block) => block.overLimit && block.numStrips === 1));
+});
+
+test('invalid limits throw', () => {
+  assert.throws(() => splitIntoBlocks(result, { limit: 'weight', max: 2 }), /Unknown block limit/);
+  assert.throws(() => splitIntoBlocks(result, { limit: 'photos', max: 0 }), /positive number/);
+});
+
+test('resumed block export starts at photo N', async () => {
+  const [, block] = splitIntoBlocks(result, { limit: 'photos', max: 40, height: 60 });
+  const data = {
+    points: [],
+    strips: result.stripLines.map((strip) => ({ stripIndex: strip.stripIndex, pass: strip.pass, coordinates: strip.coordinates })),
+    gcps: [],
+    summaryStats: {}
+  };
+  const full = blockExportData(data, block, result.photoPoints);
+  assert.equal(full.points.length, block.numPhotos);
+  assert.deepEqual(full.strips.map((strip) => strip.stripIndex), block.stripIndices);
+
+  const resumed = blockExportData(data, block, result.photoPoints, { resumeFrom: 5 });
+  assert.equal(resumed.points.length, block.numPhotos - 4);
+  assert.deepEqual(resumed.points[0], { ...result.photoPoints[block.photoOrder[4]], routeOrder: 0 });
+  assert.equal(resumed.route, null);
+  assert.throws(() => blockExportData(data, block, result.photoPoints, { resumeFrom: block.numPhotos + 1 }), /Resume photo/);
+
+  const { blob } = await runExporter('kml', resumed, { title: 'Block 2' });
+  const kml = await blob.text();
+  assert.match(kml, /<name>Block 2<\/name>/);
+  assert.equal((kml.match(/<Point>/g) || []).length, resumed.points.length);
+});
+
+test('blocks survive a project save and load', () => {
+  const options = { limit: 'photos', max: 40, height: 60 };
+  const strips = result.stripLines.map(({ id, stripIndex, partIndex, pass, coordinates }) => ({ id, stripIndex, partIndex, pass, coordinates }));
+  const project = serializeProject({ plan: { strips, photoPoints: result.photoPoints, summaryStats: result.summaryStats } });
+  const restored = planResultFromProject(parseProject(JSON.stringify(project)).plan);
+  const summary = ({ color, index, stripIndices, overlapStripIndices, photoOrder, numPhotos, launchPoint }) => ({ color, index, stripIndices, overlapStripIndices, photoOrder, numPhotos, launchPoint });
+  assert.deepEqual(splitIntoBlocks(restored, options).map(summary), splitIntoBlocks(result, options).map(summary));
+});
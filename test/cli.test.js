@@ -0,0 +1,66 @@
+// Batch CLI (bin/drone-planner.js) on the fixture fields
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../bin/drone-planner.js', import.meta.url));
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+// { code, stdout, stderr } of one CLI run
+function run(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [cli, ...args], { timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('plans every field of a GeoJSON file and writes KML, CSV and a summary', async (t) => {
+  const out = await mkdtemp(join(tmpdir(), 'drone-planner-'));
+  t.after(() => rm(out, { recursive: true, force: true }));
+  const { code, stdout } = await run(['--drone', fixture('drone.json'), '--height', '80', '--elevation', '450', '--out', out, fixture('fields.geojson')]);
+  assert.equal(code, 0);
+  assert.match(stdout, /2 of 2 fields planned/);
+  assert.deepEqual((await readdir(out)).sort(), [
+    'acker-nord-drone-flight-plan.kml', 'acker-nord-drone-photo-points.csv', 'acker-nord-drone-strips.csv',
+    'summary.csv',
+    'wiese-sud-drone-flight-plan.kml', 'wiese-sud-drone-photo-points.csv', 'wiese-sud-drone-strips.csv'
+  ]);
+  const summary = (await readFile(join(out, 'summary.csv'), 'utf8')).split('\n').map((line) => line.split(','));
+  assert.deepEqual(summary[0], ['field', 'areaHa', 'strips', 'photos', 'lengthKm', 'timeMin', 'batteries', 'noElevation', 'error']);
+  assert.deepEqual(summary.slice(1).map((row) => [row[0], row[1], row[7], row[8]]), [['Acker Nord', '5.96', '0', ''], ['Wiese Süd', '11.66', '0', '']]);
+  const photos = (await readFile(join(out, 'acker-nord-drone-photo-points.csv'), 'utf8')).split('\n');
+  assert.equal(photos.length - 1, Number(summary[1][3]));
+  assert.match(await readFile(join(out, 'acker-nord-drone-flight-plan.kml'), 'utf8'), /,530\.00<\/coordinates>/);
+});
+
+test('a broken field is reported and the others are still planned', async (t) => {
+  const out = await mkdtemp(join(tmpdir(), 'drone-planner-'));
+  t.after(() => rm(out, { recursive: true, force: true }));
+  const fields = JSON.parse(await readFile(fixture('fields.geojson'), 'utf8'));
+  fields.features.push({
+    type: 'Feature',
+    properties: { name: 'Bowtie' },
+    geometry: { type: 'Polygon', coordinates: [[[11.74, 48.4], [11.745, 48.402], [11.745, 48.4], [11.74, 48.402], [11.74, 48.4]]] }
+  });
+  const input = join(out, 'input.geojson');
+  await writeFile(input, JSON.stringify(fields));
+  const { code, stderr } = await run(['--drone', 'DJI Mavic 3E', '--gsd', '2', '--format', 'summary-json', '--out', out, input]);
+  assert.equal(code, 1);
+  assert.match(stderr, /Bowtie: Invalid survey area/);
+  const files = await readdir(out);
+  assert.ok(files.includes('acker-nord-drone-plan-summary.json'));
+  assert.ok(!files.some((f) => f.startsWith('bowtie')));
+  assert.match(await readFile(join(out, 'summary.csv'), 'utf8'), /\nBowtie,,,,,,,,"Invalid survey area/);
+});
+
+test('unknown drones and formats are refused before planning', async () => {
+  assert.equal((await run(['--drone', 'No Such Drone', '--height', '80', fixture('fields.geojson')])).code, 1);
+  const { code, stderr } = await run(['--drone', fixture('drone.json'), '--height', '80', '--format', 'pdf', fixture('fields.geojson')]);
+  assert.equal(code, 1);
+  assert.match(stderr, /Unknown format: pdf/);
+});
@@ -0,0 +1,76 @@
+// Coordinate systems (src/crs.js): .prj files, projected import and export, ESRI ASCII grids
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrj, parseAsciiGrid } from '../src/crs.js';
+import { readAreaFiles } from '../src/importers.js';
+import { photoPointsCsv } from '../src/exporters.js';
+import { fields } from './helpers.js';
+
+const ESRI_PRJ = 'PROJCS["ETRS_1989_UTM_Zone_32N",GEOGCS["GCS_ETRS_1989",DATUM["D_ETRS_1989",'
+  + 'SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],'
+  + 'PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",0.0],'
+  + 'PARAMETER["Central_Meridian",9.0],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+const OGC_PRJ = 'PROJCS["ETRS89 / UTM zone 32N",GEOGCS["ETRS89",DATUM["European_Terrestrial_Reference_System_1989",'
+  + 'SPHEROID["GRS 1980",6378137,298.257222101,AUTHORITY["EPSG","7019"]],AUTHORITY["EPSG","6258"]],'
+  + 'PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],'
+  + 'AUTHORITY["EPSG","4258"]],PROJECTION["Transverse_Mercator"],PARAMETER["central_meridian",9],'
+  + 'UNIT["metre",1,AUTHORITY["EPSG","9001"]],AUTHORITY["EPSG","25832"]]';
+// 48° N on the central meridian of zone 32: northing = 0.9996 × meridian arc (GRS 80)
+const REFERENCE = { lng: 9, lat: 48, easting: 500000, northing: 5316300.22 };
+const close = (a, b, tolerance) => assert.ok(Math.abs(a - b) <= tolerance, `${a} != ${b}`);
+const file = (name, json) => ({ name, text: async () => JSON.stringify(json) });
+
+test('parsePrj maps ESRI and OGC WKT of ETRS89 / UTM 32N to EPSG:25832', () => {
+  assert.equal(parsePrj(ESRI_PRJ).code, 'EPSG:25832');
+  assert.equal(parsePrj(OGC_PRJ).code, 'EPSG:25832');
+  assert.throws(() => parsePrj('not a coordinate system'), /WKT/);
+});
+
+test('areas in UTM 32N are imported as WGS84 lon/lat', async () => {
+  const crs = parsePrj(ESRI_PRJ);
+  const ring = [[REFERENCE.easting, REFERENCE.northing], [REFERENCE.easting + 100, REFERENCE.northing],
+    [REFERENCE.easting + 100, REFERENCE.northing + 100], [REFERENCE.easting, REFERENCE.northing]];
+  const polygon = { type: 'Polygon', coordinates: [ring] };
+  const withCrsMember = { type: 'FeatureCollection', crs: { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::25832' } },
+    features: [{ type: 'Feature', properties: { name: 'UTM' }, geometry: polygon }] };
+  const [fromOption, fromMember] = (await readAreaFiles([file('a.geojson', polygon), file('b.geojson', withCrsMember)], { crs })).features;
+  for (const feature of [fromOption, fromMember]) {
+    const [lng, lat] = feature.geometry.coordinates[0][0];
+    close(lng, REFERENCE.lng, 1e-7);
+    close(lat, REFERENCE.lat, 1e-7);
+  }
+});
+
+test('projected export round-trips through the import', async () => {
+  const crs = parsePrj(OGC_PRJ);
+  const [lng, lat] = fields.find((f) => f.properties.name === 'Acker Nord').geometry.coordinates[0][1];
+  const points = [{ ...REFERENCE }, { lat, lng }];
+  const [header, ...rows] = photoPointsCsv({ points }, { crs }).split('\n').map((line) => line.split(','));
+  const [easting, northing] = ['easting', 'northing'].map((name) => header.indexOf(name));
+  close(parseFloat(rows[0][easting]), REFERENCE.easting, 0.01);
+  close(parseFloat(rows[0][northing]), REFERENCE.northing, 0.01);
+
+  // the exported easting/northing of the second point, imported again as a tiny triangle
+  const e = parseFloat(rows[1][easting]);
+  const n = parseFloat(rows[1][northing]);
+  const triangle = { type: 'Polygon', coordinates: [[[e, n], [e + 50, n], [e, n + 50], [e, n]]] };
+  const [feature] = (await readAreaFiles([file('c.geojson', triangle)], { crs })).features;
+  close(feature.geometry.coordinates[0][0][0], lng, 1e-6);
+  close(feature.geometry.coordinates[0][0][1], lat, 1e-6);
+});
+
+const header = 'ncols 3\nnrows 2\nxllcorner 11.0\nyllcorner 48.0\ncellsize 0.5\nNODATA_value -9999\n';
+
+test('parseAsciiGrid reads the rows from north to south', () => {
+  const raster = parseAsciiGrid(`${header}1 2 3\n4 5 -9999\n`, 'geoid.asc');
+  assert.deepEqual([...raster.data], [1, 2, 3, 4, 5, -9999]);
+  assert.deepEqual({ x0: raster.x0, y0: raster.y0, noData: raster.noData }, { x0: 11.25, y0: 48.75, noData: -9999 });
+});
+
+test('parseAsciiGrid checks the header and the value count before reading the values', () => {
+  assert.throws(() => parseAsciiGrid(`${header}1 2 3\n4 5\n`, 'geoid.asc'), /5 values, expected ncols × nrows = 6/);
+  assert.throws(() => parseAsciiGrid(`${header}1 2 3\n4 5 6 7\n`, 'geoid.asc'), /7 values/);
+  assert.throws(() => parseAsciiGrid(header.replace('nrows 2', 'nrows 1e9') + '1 2 3', 'geoid.asc'), /values, expected/);
+  assert.throws(() => parseAsciiGrid(header.replace('ncols 3', 'ncols 2.5'), 'geoid.asc'), /invalid ASCII grid header/);
+  assert.throws(() => parseAsciiGrid(`${header}1 2 3\n4 x 6\n`, 'geoid.asc'), /"x" is not a number/);
+});
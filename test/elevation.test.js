@@ -0,0 +1,107 @@
+// Elevation assembly (src/elevation.js) and the provider chain (src/elevation-providers.js), offline
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assembleElevations, fetchElevationsBatch, setElevationProviders, setElevationCache } from '../src/elevation.js';
+import { createStubElevationProvider, createDemProvider, lookupWithFallback } from '../src/elevation-providers.js';
+
+const photos = [
+  { lat: 48.4001, lng: 11.7401, stripIndex: 0, pointIndex: 0 },
+  { lat: 48.4010, lng: 11.7401, stripIndex: 0, pointIndex: 1 }
+];
+const strips = [
+  { stripIndex: 0, pass: 'nadir', coordinates: [[11.7401, 48.4000], [11.7401, 48.4020]] },
+  { stripIndex: 1, pass: 'nadir', coordinates: [[11.7410, 48.4020], [11.7410, 48.4000]] }
+];
+// terrain rising 1 m per 0.0001° to the north
+const slope = (lat) => 400 + (lat - 48.4) * 10000;
+const lookup = (providers) => (points) => lookupWithFallback(providers, points);
+
+test('assembleElevations gives photos and strip vertices terrain + flight height', async () => {
+  const result = await assembleElevations(photos, strips, 80, lookup([createStubElevationProvider(slope)]));
+  assert.equal(result.total, 6);
+  assert.equal(result.fallback, 0);
+  result.photoPoints.forEach((pt, idx) => {
+    assert.equal(pt.stripIndex, photos[idx].stripIndex);
+    assert.ok(Math.abs(pt.elevation - slope(photos[idx].lat)) < 1e-6);
+    assert.ok(Math.abs(pt.absoluteAltitude - pt.elevation - 80) < 1e-9);
+    assert.equal(pt.elevationSource, 'stub');
+    assert.equal(pt.elevationStatus, 'ok');
+  });
+  assert.equal(result.strips.length, 2);
+  result.strips.forEach((strip, s) => {
+    assert.equal(strip.pass, 'nadir');
+    assert.deepEqual(strip.elevations.map((v) => [v.lng, v.lat]), strips[s].coordinates);
+    strip.elevations.forEach((v) => assert.ok(Math.abs(v.absoluteAltitude - slope(v.lat) - 80) < 1e-6));
+  });
+});
+
+test('assembleElevations leaves its input alone', async () => {
+  const copy = JSON.parse(JSON.stringify({ photos, strips }));
+  await assembleElevations(photos, strips, 80, lookup([createStubElevationProvider(300)]));
+  assert.deepEqual({ photos, strips }, copy);
+});
+
+test('assembleElevations without data marks the points as fallback', async () => {
+  const result = await assembleElevations(photos, strips, 50, lookup([]));
+  assert.equal(result.fallback, result.total);
+  result.photoPoints.forEach((pt) => {
+    assert.equal(pt.elevation, 0);
+    assert.equal(pt.absoluteAltitude, 50);
+    assert.equal(pt.elevationStatus, 'fallback');
+  });
+});
+
+test('assembleElevations with nothing to look up', async () => {
+  const result = await assembleElevations([], [], 80, () => { throw new Error('no lookup expected'); });
+  assert.deepEqual(result, { photoPoints: [], strips: [], total: 0, fallback: 0 });
+});
+
+test('lookupWithFallback asks the next provider for points without data', async () => {
+  // a 2 x 2 raster covering only the south of the points
+  const dem = createDemProvider([{ name: 'tile', width: 2, height: 2, x0: 11.74, y0: 48.4005, xRes: 0.01, yRes: 0.001, data: [500, 500, 500, 500], noData: -32768 }]);
+  const results = await lookupWithFallback([dem, createStubElevationProvider(123)], [
+    { lat: 48.4001, lng: 11.7401 },
+    { lat: 48.4010, lng: 11.7401 },
+    { lat: NaN, lng: 11.74 }
+  ]);
+  assert.deepEqual(results, [
+    { elevation: 500, source: 'dem', status: 'ok' },
+    { elevation: 123, source: 'stub', status: 'ok' },
+    { elevation: 0, source: 'none', status: 'invalid' }
+  ]);
+});
+
+test('a stub provider may have no data (null)', async () => {
+  const north = createStubElevationProvider((lat) => (lat > 48.4005 ? 250 : null), { id: 'north' });
+  const results = await lookupWithFallback([north], photos);
+  assert.deepEqual(results.map((r) => r.status), ['fallback', 'ok']);
+  assert.equal(results[1].source, 'north');
+});
+
+test('cached values of one provider do not hide a provider in front of it', async () => {
+  // fetchElevationsBatch shows its progress in #loadingElevation
+  globalThis.document = { getElementById: () => ({ style: {}, textContent: '' }) };
+  const store = new Map();
+  const cache = {
+    gridArcSec: 1,
+    cellOf: (lat, lng) => ({ key: `${Math.round(lat * 3600)}|${Math.round(lng * 3600)}`, lat, lng }),
+    getMany: async (keys) => keys.map((key) => store.get(key) || null),
+    putMany: async (entries) => entries.forEach((e) => store.set(e.key, { elevation: e.elevation, source: e.source }))
+  };
+  const remote = createStubElevationProvider(100, { id: 'remote', name: 'Remote' });
+  const dem = createStubElevationProvider(400, { id: 'dem', name: 'Local DEM' });
+  try {
+    setElevationCache(cache);
+    setElevationProviders([remote]);
+    assert.deepEqual((await fetchElevationsBatch(photos)).map((r) => r.elevation), [100, 100]);
+    setElevationProviders([dem, remote]);
+    const results = await fetchElevationsBatch(photos);
+    assert.deepEqual(results.map((r) => [r.elevation, r.source]), [[400, 'dem'], [400, 'dem']]);
+    // and the DEM values are cached on their own
+    assert.deepEqual((await fetchElevationsBatch(photos)).map((r) => r.cached), [true, true]);
+  } finally {
+    setElevationCache(null);
+    setElevationProviders([]);
+    delete globalThis.document;
+  }
+});
@@ -0,0 +1,106 @@
+// Photo thinning (src/filters.js) on the fixture fields
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as turf from '@turf/turf';
+import { calculateStrips } from '../src/strips.js';
+import { photoFootprint, coverageGrid } from '../src/coverage.js';
+import { FILTER_MODES, thinPhotoPoints, filteredSummary } from '../src/filters.js';
+import { drone, loadField } from './helpers.js';
+
+const area = loadField('Acker Nord');
+const options = { height: 80, frontlap: 0.75, sidelap: 0.65, direction: 0 };
+const { photoPoints, summaryStats } = calculateStrips(area, drone, options);
+
+// photo indices per scan line, ordered by pointIndex
+function scanLines(points) {
+  const lines = new Map();
+  points.forEach((pt, idx) => {
+    const key = `${pt.partIndex}|${pt.pass}|${pt.stripIndex}`;
+    if (!lines.has(key)) lines.set(key, []);
+    lines.get(key).push(idx);
+  });
+  return [...lines.values()].map((indices) => indices.sort((a, b) => points[a].pointIndex - points[b].pointIndex));
+}
+
+test('every mode keeps all photos at value 0', () => {
+  FILTER_MODES.forEach((mode) => {
+    const { keep, before, after } = thinPhotoPoints(photoPoints, mode, { value: 0, polygon: area, drone, footprintOptions: options });
+    assert.equal(before, photoPoints.length);
+    assert.equal(after, photoPoints.length, mode);
+    assert.deepEqual(keep, photoPoints.map((pt, idx) => idx));
+  });
+});
+
+test('unknown mode throws', () => {
+  assert.throws(() => thinPhotoPoints(photoPoints, 'random', { value: 2 }), /Unknown filter mode/);
+});
+
+test("'ends' keeps the first and last photos of every scan line", () => {
+  const { keep } = thinPhotoPoints(photoPoints, 'ends', { value: 2 });
+  const kept = new Set(keep);
+  scanLines(photoPoints).forEach((indices) => {
+    const expected = indices.filter((idx, rank) => rank < 2 || rank >= indices.length - 2);
+    assert.deepEqual(indices.filter((idx) => kept.has(idx)), expected);
+  });
+});
+
+test("'every-k' keeps every k-th photo and the end of every scan line", () => {
+  const { keep } = thinPhotoPoints(photoPoints, 'every-k', { value: 3 });
+  const kept = new Set(keep);
+  scanLines(photoPoints).forEach((indices) => {
+    assert.ok(kept.has(indices[0]));
+    assert.ok(kept.has(indices[indices.length - 1]));
+    assert.ok(!kept.has(indices[1]) || indices.length === 2);
+  });
+});
+
+test("'distance' keeps no two photos of a scan line closer than the distance (except the last)", () => {
+  const { keep } = thinPhotoPoints(photoPoints, 'distance', { value: 40 });
+  const kept = new Set(keep);
+  scanLines(photoPoints).forEach((indices) => {
+    const line = indices.filter((idx) => kept.has(idx));
+    for (let i = 1; i < line.length - 1; i++) {
+      const a = photoPoints[line[i - 1]];
+      const b = photoPoints[line[i]];
+      assert.ok(turf.distance([a.lng, a.lat], [b.lng, b.lat], { units: 'meters' }) >= 40 - 1e-6);
+    }
+  });
+});
+
+test("'edge-buffer' keeps exactly the photos near the outline", () => {
+  const outline = turf.lineString(area.coordinates[0]);
+  const { keep } = thinPhotoPoints(photoPoints, 'edge-buffer', { value: 30, polygon: area });
+  const expected = photoPoints
+    .map((pt, idx) => (turf.pointToLineDistance([pt.lng, pt.lat], outline, { units: 'meters' }) <= 30 ? idx : null))
+    .filter((idx) => idx !== null);
+  assert.deepEqual(keep, expected);
+});
+
+test("'min-overlap' keeps every coverage cell at its target", () => {
+  const target = 5;
+  const { keep, after } = thinPhotoPoints(photoPoints, 'min-overlap', {
+    value: target, polygon: area, drone, footprintOptions: options, cellSize: 10
+  });
+  assert.ok(after < photoPoints.length, 'nothing was removed');
+  const counts = (points) => coverageGrid(area, points.map((pt) => photoFootprint(pt, drone, options)), { cellSize: 10 })
+    .cells.map((cell) => cell.footprints.length);
+  const before = counts(photoPoints);
+  const thinned = counts(keep.map((idx) => photoPoints[idx]));
+  before.forEach((count, c) => assert.ok(thinned[c] >= Math.min(target, count), `cell ${c}: ${thinned[c]} < ${Math.min(target, count)}`));
+});
+
+test('filteredSummary counts the kept photos per part and pass', () => {
+  const double = calculateStrips(area, drone, { ...options, pattern: 'double' });
+  const { keep } = thinPhotoPoints(double.photoPoints, 'ends', { value: 1 });
+  const kept = keep.map((idx) => double.photoPoints[idx]);
+  const summary = filteredSummary(double.summaryStats, kept);
+  assert.equal(summary.numPhotos, kept.length);
+  summary.passes.forEach((pass) => {
+    assert.equal(pass.numPhotos, kept.filter((pt) => pt.pass === pass.id).length);
+    assert.equal(summary.photosPerPass[pass.id], pass.numPhotos);
+  });
+  assert.equal(summary.parts[0].numPhotos, kept.length);
+  // the plan's own summary is left alone
+  assert.equal(double.summaryStats.numPhotos, double.photoPoints.length);
+  assert.equal(summaryStats.numPhotos, photoPoints.length);
+});
@@ -0,0 +1,26 @@
+// Surveyed GCP files (src/gcp.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGcpFile } from '../src/gcp.js';
+import { crsByCode, fromWgs84 } from '../src/crs.js';
+import './helpers.js';
+
+test('WGS84 GCP files are read by header names', () => {
+  const [gcp] = parseGcpFile('name;latitude;longitude;height\nP1;48.4012;11.7421;512.3');
+  assert.deepEqual(gcp, { name: 'P1', lat: 48.4012, lng: 11.7421, elevation: 512.3, elevationSource: 'surveyed', surveyed: true, kind: 'imported' });
+});
+
+test('easting/northing columns are converted from the given coordinate system', () => {
+  const crs = crsByCode('EPSG:25832');
+  const [gcp] = parseGcpFile('name,easting,northing,height\nP1,691000.1,5366000.2,512.3', { crs });
+  assert.ok(Math.abs(gcp.lat - 48.418177) < 1e-6 && Math.abs(gcp.lng - 11.581511) < 1e-6, `${gcp.lat}, ${gcp.lng}`);
+  const [easting, northing] = fromWgs84(crs, gcp.lng, gcp.lat);
+  assert.ok(Math.abs(easting - 691000.1) < 0.001 && Math.abs(northing - 5366000.2) < 0.001);
+  assert.equal(gcp.elevation, 512.3);
+});
+
+test('easting/northing columns without a projected coordinate system are refused', () => {
+  const text = 'name,x,y,z\nP1,691000.1,5366000.2,512.3';
+  assert.throws(() => parseGcpFile(text), /choose their projected coordinate system/);
+  assert.throws(() => parseGcpFile(text, { crs: crsByCode('EPSG:4326') }), /choose their projected coordinate system/);
+});
@@ -0,0 +1,18 @@
+// Shared test setup: Turf.js and proj4js injected into src/deps.js, the fixture fields and drone
+import { readFileSync } from 'node:fs';
+import * as turf from '@turf/turf';
+import proj4 from 'proj4';
+import { setDependencies } from '../src/deps.js';
+import { calculateStrips } from '../src/strips.js';
+
+setDependencies({ turf, proj4 });
+
+export const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+export const fields = fixture('fields.geojson').features;
+export const drone = fixture('drone.json');
+
+// Geometry of a fixture field by name ('Acker Nord', 'Wiese Süd')
+export const loadField = (name) => fields.find((f) => f.properties.name === name).geometry;
+
+// calculateStrips of a fixture field with the fixture drone
+export const planStrips = (name, options) => calculateStrips(loadField(name), drone, options);
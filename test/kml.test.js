@@ -0,0 +1,41 @@
+// KML export and DJI WPML mission heights (src/kml.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKml, generateWpml } from '../src/kml.js';
+
+const wpml = { droneEnumValue: 77, droneSubEnumValue: 0, payloadEnumValue: 66 };
+// two photos over terrain at 500 and 520 m, flown 80 m above ground
+const points = [
+  { lat: 48.4, lng: 11.74, stripIndex: 0, elevation: 500, absoluteAltitude: 580 },
+  { lat: 48.401, lng: 11.74, stripIndex: 0, elevation: 520, absoluteAltitude: 600 }
+];
+const values = (xml, tag) => [...xml.matchAll(new RegExp(`<wpml:${tag}>([^<]*)</wpml:${tag}>`, 'g'))].map((m) => m[1]);
+
+test('waypoint heights are relative to the takeoff elevation', () => {
+  const { templateKml, waylinesWpml } = generateWpml(points, { ...wpml, takeoffElevation: 470 });
+  assert.deepEqual(values(waylinesWpml, 'executeHeight'), ['110.00', '130.00']);
+  assert.deepEqual(values(templateKml, 'height'), ['580.00', '600.00']);
+});
+
+test('absolute heights without a takeoff elevation are refused', () => {
+  assert.throws(() => generateWpml(points, wpml), /takeoff elevation/);
+});
+
+test('relative-only missions need no takeoff elevation', () => {
+  const flat = points.map(({ lat, lng, stripIndex }) => ({ lat, lng, stripIndex }));
+  const { waylinesWpml } = generateWpml(flat, { ...wpml, height: 80 });
+  assert.deepEqual(values(waylinesWpml, 'executeHeight'), ['80.00', '80.00']);
+});
+
+test('ellipsoid heights only come from a geoid model', () => {
+  const plain = generateWpml(points, { ...wpml, takeoffElevation: 470 });
+  assert.deepEqual(values(plain.templateKml, 'ellipsoidHeight'), []);
+  const withGeoid = generateWpml(points.map((pt) => ({ ...pt, ellipsoidHeight: pt.absoluteAltitude + 47.5 })), { ...wpml, takeoffElevation: 470 });
+  assert.deepEqual(values(withGeoid.templateKml, 'ellipsoidHeight'), ['627.50', '647.50']);
+});
+
+test('GCP names are escaped in the KML', () => {
+  const kml = generateKml(points, {}, { gcps: [{ name: 'A&B <1>', lat: 48.4, lng: 11.74, elevation: 500 }] });
+  assert.match(kml, /<name>A&amp;B &lt;1&gt;<\/name>/);
+  assert.doesNotMatch(kml, /A&B|<1>/);
+});
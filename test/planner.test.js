@@ -0,0 +1,109 @@
+// Headless planning (src/planner.js) and the KML/CSV exports of a plan (src/exporters.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as turf from '@turf/turf';
+import { planField, subsetPlan, resolveHeight } from '../src/planner.js';
+import { calculateStrips, gsdForHeight } from '../src/strips.js';
+import { createStubElevationProvider } from '../src/elevation-providers.js';
+import { runExporter } from '../src/exporters.js';
+import { crsByCode } from '../src/crs.js';
+import { fields, drone, loadField } from './helpers.js';
+
+const area = loadField('Acker Nord');
+const options = { height: 80, frontlap: 0.75, sidelap: 0.65, direction: 0, elevationProviders: [createStubElevationProvider(450)] };
+const exportText = async (id, plan, exportOptions) => (await runExporter(id, plan, exportOptions)).blob.text();
+
+test('planField plans the strips, route and elevations of a field', async () => {
+  const plan = await planField(area, drone, options);
+  const strips = calculateStrips(area, drone, options);
+  assert.equal(plan.points.length, strips.photoPoints.length);
+  assert.equal(plan.strips.length, strips.stripLines.length);
+  assert.deepEqual(plan.points.map((pt) => pt.routeOrder), plan.points.map((pt, idx) => idx));
+  plan.points.forEach((pt) => {
+    assert.equal(pt.elevation, 450);
+    assert.equal(pt.absoluteAltitude, 530);
+  });
+  plan.strips.forEach((strip) => assert.equal(strip.elevations.length, strip.coordinates.length));
+  assert.deepEqual(plan.elevation, { total: plan.points.length + plan.strips.length * 2, fallback: 0 });
+  assert.equal(plan.summaryStats.numPhotos, plan.points.length);
+  assert.equal(plan.summaryStats.estTimeMin, Math.ceil(plan.summaryStats.route.totalTimeMin));
+  assert.ok(plan.summaryStats.route.batteries.length >= 1);
+  assert.equal(plan.polygon, area);
+  assert.equal(plan.filter, null);
+});
+
+test('planField accepts a target GSD instead of the height', async () => {
+  const gsd = gsdForHeight(80, drone);
+  const plan = await planField(area, drone, { ...options, height: undefined, gsd });
+  assert.ok(Math.abs(plan.height - 80) < 1e-9);
+  assert.ok(Math.abs(resolveHeight(drone, { gsd: 2 }) - 2 / 100 * 12.3e-3 / 3.3e-6) < 1e-9);
+  await assert.rejects(planField(area, drone, { gsd: 'x' }), /Flight height or GSD/);
+});
+
+test('planField rejects a broken area', async () => {
+  const bowtie = { type: 'Polygon', coordinates: [[[11.74, 48.4], [11.745, 48.402], [11.745, 48.4], [11.74, 48.402], [11.74, 48.4]]] };
+  await assert.rejects(planField(bowtie, drone, options), /Invalid survey area/);
+});
+
+test('a photo filter thins the plan and shortens the route', async () => {
+  // 'ends' keeps every strip: the time saved is the hover time of the dropped photos
+  const route = { hoverTimeS: 1 };
+  const full = await planField(area, drone, { ...options, route });
+  const thinned = await planField(area, drone, { ...options, route, filter: { mode: 'ends', value: 2 } });
+  assert.deepEqual(thinned.filter, { mode: 'ends', before: full.points.length, after: thinned.points.length });
+  assert.ok(thinned.points.length < full.points.length);
+  assert.equal(thinned.summaryStats.numPhotos, thinned.points.length);
+  assert.ok(thinned.summaryStats.route.totalTimeMin < full.summaryStats.route.totalTimeMin);
+});
+
+test('subsetPlan drops the strips without photos', () => {
+  const result = calculateStrips(area, drone, options);
+  const firstStrip = result.photoPoints.map((pt, idx) => (pt.stripId === result.stripLines[0].id ? idx : null)).filter((idx) => idx !== null);
+  const subset = subsetPlan(result, firstStrip);
+  assert.equal(subset.photoPoints.length, firstStrip.length);
+  assert.deepEqual(subset.stripLines, [result.stripLines[0]]);
+  assert.equal(result.photoPoints.length, result.summaryStats.numPhotos);
+});
+
+test('planField in corridor mode follows the centre line', async () => {
+  const line = { type: 'LineString', coordinates: [[11.74, 48.40], [11.745, 48.40], [11.748, 48.403]] };
+  const plan = await planField(line, drone, { ...options, corridor: { width: 60 } });
+  assert.equal(plan.polygon.type, 'Polygon');
+  assert.equal(plan.summaryStats.corridor.widthM, 60);
+  assert.ok(plan.points.length > 0);
+  plan.points.forEach((pt) => assert.ok(turf.booleanPointInPolygon([pt.lng, pt.lat], plan.polygon)));
+});
+
+test('KML export writes the strips and photos at absolute altitude', async () => {
+  const plan = await planField(area, drone, options);
+  const kml = await exportText('kml', plan);
+  assert.match(kml, /^<\?xml/);
+  assert.equal((kml.match(/<name>Photo \d+<\/name>/g) || []).length, plan.points.length);
+  assert.equal((kml.match(/<name>Flight Strip<\/name>/g) || []).length, plan.strips.length);
+  const first = plan.points[0];
+  assert.ok(kml.includes(`<coordinates>${first.lng},${first.lat},530.00</coordinates>`));
+  assert.ok(!kml.includes('photoNoElevationStyle</styleUrl>'));
+});
+
+test('KML export marks photos without terrain data', async () => {
+  const plan = await planField(area, drone, { ...options, elevationProviders: [] });
+  const kml = await exportText('kml', plan);
+  assert.equal((kml.match(/<styleUrl>#photoNoElevationStyle<\/styleUrl>/g) || []).length, plan.points.length);
+});
+
+test('CSV exports have one line per photo / strip vertex, projected on request', async () => {
+  const plan = await planField(area, drone, options);
+  const photos = (await exportText('photos-csv', plan)).split('\n');
+  assert.equal(photos.length, plan.points.length + 1);
+  assert.equal(photos[0], 'id,strip,index,lat,lng,elevation,absoluteAltitude,heading,gimbalPitch,gsdCm,pass,routeOrder');
+  assert.equal(photos[1].split(',')[9], gsdForHeight(80, drone).toFixed(2));
+
+  const utm = await runExporter('strips-csv', plan, { crs: crsByCode('EPSG:25832') });
+  assert.equal(utm.filename, 'drone-strips-EPSG25832.csv');
+  const rows = (await utm.blob.text()).split('\n');
+  assert.equal(rows[0], 'strip,pass,vertex,lat,lng,easting,northing,elevation,absoluteAltitude');
+  assert.equal(rows.length, plan.strips.length * 2 + 1);
+  const [, , , , , easting, northing] = rows[1].split(',').map(Number);
+  assert.ok(easting > 700000 && easting < 710000, `easting ${easting}`);
+  assert.ok(northing > 5360000 && northing < 5370000, `northing ${northing}`);
+});
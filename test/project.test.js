@@ -0,0 +1,42 @@
+// Project files (src/project.js): a saved plan rebuilds the same route after loading
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoute } from '../src/route.js';
+import { serializeProject, parseProject, planResultFromProject } from '../src/project.js';
+import { planStrips } from './helpers.js';
+
+// the hole of Wiese Süd splits scan lines into several strip segments
+const result = planStrips('Wiese Süd', { height: 60, frontlap: 0.75, sidelap: 0.65, direction: 30 });
+const flownImage = { lat: 48.39, lng: 11.75, stripIndex: null, filename: 'DJI_0001.JPG' };
+
+// the plan as the app saves it: strips from the map layers, photos with their markers
+const saved = (strips, photoPoints) => JSON.stringify(serializeProject({
+  plan: { strips, photoPoints: [...photoPoints, flownImage], summaryStats: result.summaryStats, route: null }
+}));
+
+test('a restored plan rebuilds the route of the planned photos', () => {
+  const strips = result.stripLines.map(({ id, stripIndex, partIndex, pass, coordinates }) => ({ id, stripIndex, partIndex, pass, coordinates }));
+  const photoPoints = result.photoPoints.map((pt) => ({ ...pt, marker: {} }));
+  const restored = planResultFromProject(parseProject(saved(strips, photoPoints)).plan);
+  assert.equal(restored.photoPoints.length, result.photoPoints.length);
+  assert.ok(restored.photoPoints.every((pt) => !('marker' in pt)));
+  assert.deepEqual(buildRoute(restored, { height: 60 }).photoOrder, buildRoute(result, { height: 60 }).photoOrder);
+});
+
+test('strips saved without ids get their photos back by position', () => {
+  assert.ok(result.stripLines.length > result.summaryStats.numStrips, 'the fixture needs split scan lines');
+  const strips = result.stripLines.map(({ stripIndex, pass, coordinates }) => ({ stripIndex, pass, coordinates }));
+  const photoPoints = result.photoPoints.map(({ stripId, ...pt }) => pt);
+  const restored = planResultFromProject(parseProject(saved(strips, photoPoints)).plan);
+  const route = buildRoute(restored, { height: 60 });
+  assert.deepEqual(route.photoOrder, buildRoute(result, { height: 60 }).photoOrder);
+  assert.deepEqual(restored.stripLines.map((strip) => strip.partIndex), result.stripLines.map((strip) => strip.partIndex));
+});
+
+test('invalid project plans are rejected with a message', () => {
+  const project = JSON.parse(saved([], []));
+  assert.throws(() => parseProject({ ...project, plan: { ...project.plan, filteredIndices: { 0: 1 } } }), /Invalid project plan: filteredIndices must be an array/);
+  assert.throws(() => parseProject({ ...project, plan: { ...project.plan, filteredIndices: [5] } }), /Invalid project plan: filter references unknown photo points/);
+  assert.throws(() => parseProject({ ...project, version: 0 }), /Unsupported project version 0/);
+  assert.throws(() => parseProject({ ...project, version: 99 }), /Unsupported project version 99/);
+});
@@ -0,0 +1,67 @@
+// Strip calculation and GSD/height coupling (src/strips.js) against the fixture fields
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as turf from '@turf/turf';
+import { calculateStrips, gsdForHeight, heightForGsd } from '../src/strips.js';
+import { photoFootprint } from '../src/coverage.js';
+import { fixture, drone, loadField as field } from './helpers.js';
+
+// Recorded with the current strip calculation; a change here changes every plan
+for (const { field: name, options, expected } of fixture('strips.expected.json')) {
+  test(`calculateStrips regression: ${name}, ${options.pattern || 'single'} at ${options.height} m, ${options.direction}°`, () => {
+    const { photoPoints, stripLines, summaryStats } = calculateStrips(field(name), drone, options);
+    const { areaHa, numStrips, numPhotos, totalLengthKm, estTimeMin, photoSpacingM } = summaryStats;
+    assert.deepEqual({ areaHa, numStrips, numPhotos, totalLengthKm, estTimeMin, photoSpacingM, stripLines: stripLines.length }, expected);
+    assert.equal(photoPoints.length, numPhotos);
+  });
+}
+
+test('calculateStrips places no photo outside the area or inside a hole', () => {
+  const area = field('Wiese Süd');
+  const hole = turf.polygon([area.coordinates[1]]);
+  const { photoPoints } = calculateStrips(area, drone, { height: 80, frontlap: 0.75, sidelap: 0.65, direction: 30 });
+  assert.ok(photoPoints.length > 0);
+  photoPoints.forEach((pt) => {
+    const point = turf.point([pt.lng, pt.lat]);
+    assert.ok(turf.booleanPointInPolygon(point, area), `photo ${pt.stripIndex}/${pt.pointIndex} outside the area`);
+    assert.ok(!turf.booleanPointInPolygon(point, hole, { ignoreBoundary: true }), `photo ${pt.stripIndex}/${pt.pointIndex} in the hole`);
+  });
+});
+
+test('oblique footprints cover the edge of the area', () => {
+  const area = field('Acker Nord');
+  const options = { height: 60, frontlap: 0.75, sidelap: 0.65, direction: 0, pattern: 'oblique', gimbalPitch: -45 };
+  const { photoPoints, stripLines } = calculateStrips(area, drone, options);
+  const footprints = photoPoints.map((pt) => photoFootprint(pt, drone, options));
+  // the drone flies behind the image centres: the first line starts south of the area
+  assert.ok(stripLines[0].coordinates.some((c) => !turf.booleanPointInPolygon(turf.point(c), area)));
+  const edge = turf.polygonToLine(turf.polygon(area.coordinates));
+  const length = turf.length(edge, { units: 'meters' });
+  for (let d = 0; d <= length; d += 10) {
+    const point = turf.along(edge, d, { units: 'meters' });
+    assert.ok(footprints.some((fp) => turf.booleanPointInPolygon(point, fp)), `edge at ${d} m not covered`);
+  }
+});
+
+test('calculateStrips refuses a plan without camera data', () => {
+  assert.throws(() => calculateStrips(field('Acker Nord'), {}, { height: 80 }));
+});
+
+test('gsdForHeight follows GSD = H * pixel size / focal length', () => {
+  assert.ok(Math.abs(gsdForHeight(80, drone) - 80 * 3.3e-6 / 12.3e-3 * 100) < 1e-12);
+  assert.ok(Math.abs(gsdForHeight(80, drone) - 2.1463) < 1e-4);
+});
+
+test('heightForGsd inverts gsdForHeight', () => {
+  [20, 55.5, 80, 120].forEach((height) => {
+    assert.ok(Math.abs(heightForGsd(gsdForHeight(height, drone), drone) - height) < 1e-9);
+  });
+  // form values are strings
+  assert.ok(Math.abs(heightForGsd('2', { pixelSize_um: '2.4', focalLength_mm: '6.7' }) - 2 / 100 * 6.7e-3 / 2.4e-6) < 1e-9);
+});
+
+test('GSD helpers return NaN without camera or input', () => {
+  assert.ok(Number.isNaN(gsdForHeight(80, {})));
+  assert.ok(Number.isNaN(heightForGsd(2, { pixelSize_um: 3.3 })));
+  assert.ok(Number.isNaN(gsdForHeight('', drone)));
+});
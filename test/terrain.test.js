@@ -0,0 +1,41 @@
+// Terrain following (src/terrain.js) on the fixture fields
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as turf from '@turf/turf';
+import { applyTerrainFollowing } from '../src/terrain.js';
+import { drone, planStrips } from './helpers.js';
+
+const result = planStrips('Acker Nord', { height: 60, frontlap: 0.7, sidelap: 0.6, direction: 90, minSegmentLength: 1 });
+
+// a ridge: terrain rises and falls steeply along the strips
+const ridge = (pt) => 400 + 80 * Math.max(0, 1 - Math.abs(pt.lng - result.photoPoints[0].lng - 0.002) / 0.001);
+const lookup = async (points) => points.map((pt) => ({ elevation: ridge(pt), source: 'stub', status: 'ok' }));
+
+test('flown profile keeps the clearance over the terrain', async () => {
+  const minClearance = 40;
+  const out = await applyTerrainFollowing(result, drone, { height: 60, minClearance, maxClimbRate: 2, sampleSpacing: 10 }, lookup);
+  out.stripLines.forEach((strip) => {
+    // check every 2 m of each straight leg between two vertices
+    for (let i = 1; i < strip.coordinates.length; i++) {
+      const a = strip.coordinates[i - 1];
+      const b = strip.coordinates[i];
+      for (let t = 0; t <= 1; t += 2 / Math.max(2, turf.distance(a, b, { units: 'meters' }))) {
+        const pt = { lng: a[0] + t * (b[0] - a[0]), lat: a[1] + t * (b[1] - a[1]) };
+        const flown = strip.altitudes[i - 1] + t * (strip.altitudes[i] - strip.altitudes[i - 1]);
+        // the terrain is only known at the 10 m samples: allow the ridge slope between two of them
+        assert.ok(flown >= ridge(pt) + minClearance - 8, `${flown} m over ${ridge(pt)} m`);
+      }
+    }
+  });
+});
+
+test('min. clearance above the flight height is rejected', async () => {
+  await assert.rejects(applyTerrainFollowing(result, drone, { height: 30, minClearance: 40 }, lookup), /exceeds the flight height/);
+});
+
+test('fallback terrain is rejected', async () => {
+  const partial = async (points) => points.map((pt, idx) => (idx % 7 === 0
+    ? { elevation: 0, source: 'none', status: 'fallback' }
+    : { elevation: ridge(pt), source: 'stub', status: 'ok' }));
+  await assert.rejects(applyTerrainFollowing(result, drone, { height: 60 }, partial), /needs terrain elevations/);
+});